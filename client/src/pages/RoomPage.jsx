@@ -3,78 +3,104 @@ import { useNavigate, useParams } from 'react-router-dom'
 import { apiGet } from '../api'
 import { useAuth } from '../App'
 import { getSocket } from '../socket'
+import { RULESETS, applyAction, formatSquare, getCellType, getRuleset, listActions } from '@yonmoque/rules'
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
 import { cn } from "@/lib/utils"
 
-const BOARD_SIZE = 5
-const NEUTRAL_POSITIONS = new Set(['0,0', '0,4', '4,0', '4,4', '2,2'])
-const BLACK_POSITIONS = new Set([
-  '0,2',
-  '1,1',
-  '1,3',
-  '2,0',
-  '2,4',
-  '3,1',
-  '3,3',
-  '4,2',
-])
-
-const inBounds = (row, col) =>
-  row >= 0 && row < BOARD_SIZE && col >= 0 && col < BOARD_SIZE
-
-const getCellType = (row, col) => {
-  const key = `${row},${col}`
-  if (NEUTRAL_POSITIONS.has(key)) return 'neutral'
-  if (BLACK_POSITIONS.has(key)) return 'black'
-  return 'white'
+const cellKey = (pos) => `${pos.row},${pos.col}`
+
+// 対局後の解析での手の分類
+const CLASSIFICATION_LABELS = {
+  best: '最善',
+  good: '良',
+  inaccuracy: '疑問手',
+  mistake: '悪手',
+  blunder: '大悪手',
 }
 
-const getValidMoves = (board, color, from) => {
-  const moves = new Set()
-  const stepDirs = [
-    [1, 0],
-    [-1, 0],
-    [0, 1],
-    [0, -1],
-    [1, 1],
-    [1, -1],
-    [-1, 1],
-    [-1, -1],
-  ]
-  for (const [dr, dc] of stepDirs) {
-    const row = from.row + dr
-    const col = from.col + dc
-    if (!inBounds(row, col)) continue
-    if (board[row][col] === null) {
-      moves.add(`${row},${col}`)
-    }
-  }
+const MISSED_WIN_LABELS = {
+  immediate: '4目を見逃し',
+  forced: '勝ち筋を見逃し',
+}
 
-  if (getCellType(from.row, from.col) !== color) {
-    return moves
-  }
+// CPUの思考エンジン（先読みは数値の強さ、モンテカルロはサーバーの CPU_LEVELS のキーで指定）
+// サーバーに外部エンジンが設定されていれば、その後に並べる（GET /api/engines）
+const CPU_ENGINE_OPTIONS = [
+  { engine: 'alphabeta', label: '先読み' },
+  { engine: 'mcts', label: 'モンテカルロ' },
+]
 
-  const diagDirs = [
-    [1, 1],
-    [1, -1],
-    [-1, 1],
-    [-1, -1],
-  ]
-  for (const [dr, dc] of diagDirs) {
-    let row = from.row + dr
-    let col = from.col + dc
-    while (inBounds(row, col) && getCellType(row, col) === color) {
-      if (board[row][col] !== null) {
-        break
-      }
-      moves.add(`${row},${col}`)
-      row += dr
-      col += dc
-    }
-  }
-  return moves
+// CPUの強さの範囲（サーバーの STRENGTH_RANGE と同じ）
+const CPU_STRENGTH = { min: 400, max: 2000, step: 50, initial: 2000 }
+
+const DEFAULT_CPU_PLAYER = { engine: 'alphabeta', strength: CPU_STRENGTH.initial }
+
+// CPU同士の対局の手の間隔（ミリ秒、サーバーの上限は10000）
+const EXHIBITION_DELAY = { min: 0, max: 10000, initial: 800 }
+
+// cpu:configure / cpu:exhibition に送るCPUの指定
+const cpuPlayerPayload = (player) => {
+  if (player.engine === 'external') return { external: player.external }
+  return player.engine === 'mcts' ? { level: 'mcts' } : { strength: player.strength }
+}
+
+// サーバーのCPU設定（describeCpuRoom の players の要素）の表示名
+const cpuPlayerLabel = (player) => {
+  if (!player) return '-'
+  if (player.engine === 'mcts') return 'モンテカルロ'
+  if (player.engine === 'external') return player.external?.name ?? '外部エンジン'
+  if (player.strength !== null && player.strength !== undefined) return `先読み ${player.strength}`
+  return `先読み (${player.level})`
+}
+
+// CPUの指し手の選択（思考エンジンと、先読みなら強さ）
+function CpuPlayerPicker({ label, value, onChange, engines = [] }) {
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-xs text-muted-foreground">{label}</span>
+        {CPU_ENGINE_OPTIONS.map((option) => (
+          <Button
+            key={option.engine}
+            size="sm"
+            variant={value.engine === option.engine ? 'secondary' : 'outline'}
+            className="flex-1"
+            onClick={() => onChange({ ...value, engine: option.engine })}
+          >
+            {option.label}
+          </Button>
+        ))}
+        {engines.map((engine) => (
+          <Button
+            key={engine.id}
+            size="sm"
+            variant={value.engine === 'external' && value.external === engine.id ? 'secondary' : 'outline'}
+            className="flex-1"
+            onClick={() => onChange({ ...value, engine: 'external', external: engine.id })}
+          >
+            {engine.name}
+          </Button>
+        ))}
+      </div>
+      {value.engine === 'alphabeta' && (
+        <label className="flex items-center gap-2">
+          <span className="text-xs text-muted-foreground">CPUの強さ</span>
+          <input
+            type="range"
+            min={CPU_STRENGTH.min}
+            max={CPU_STRENGTH.max}
+            step={CPU_STRENGTH.step}
+            value={value.strength}
+            onChange={(event) => onChange({ ...value, strength: Number(event.target.value) })}
+            className="flex-1 accent-primary"
+          />
+          <span className="w-10 text-right font-mono text-xs">{value.strength}</span>
+        </label>
+      )}
+    </div>
+  )
 }
 
 export default function RoomPage() {
@@ -85,11 +111,25 @@ export default function RoomPage() {
   const [chat, setChat] = useState([])
   const [game, setGame] = useState(null)
   const [selected, setSelected] = useState(null)
+  const [hovered, setHovered] = useState(null)
   const [presence, setPresence] = useState(0)
   const [message, setMessage] = useState('')
   const [error, setError] = useState('')
   const [cpuError, setCpuError] = useState('')
+  const [cpuPlayer, setCpuPlayer] = useState(DEFAULT_CPU_PLAYER)
+  const [cpuState, setCpuState] = useState(null)
+  const [engines, setEngines] = useState([])
+  const [exhibitionPlayers, setExhibitionPlayers] = useState({
+    black: DEFAULT_CPU_PLAYER,
+    white: DEFAULT_CPU_PLAYER,
+  })
+  const [exhibitionDelay, setExhibitionDelay] = useState(EXHIBITION_DELAY.initial)
+  const [exhibitionAutoRestart, setExhibitionAutoRestart] = useState(true)
   const [notice, setNotice] = useState('')
+  const [hint, setHint] = useState(null)
+  const [hintLoading, setHintLoading] = useState(false)
+  const [hintError, setHintError] = useState('')
+  const [report, setReport] = useState(null)
   const chatEndRef = useRef(null)
 
   const numericRoomId = useMemo(() => Number(roomId), [roomId])
@@ -109,7 +149,39 @@ export default function RoomPage() {
     if (status === 'waiting') return '待機'
     return status
   }
-  const errorMessage = (code) => {
+  const cellTypeLabel = (type) => {
+    if (type === 'neutral') return '中立'
+    return seatLabel(type)
+  }
+  const reasonMessage = (reason) => {
+    if (!reason || !reason.at) return null
+    const square = formatSquare(reason.at)
+    switch (reason.code) {
+      case 'out_of_bounds':
+        return `${square}は盤外です。`
+      case 'no_pieces_left':
+        return `持ち駒がありません(${reason.placed}/${reason.maxPieces}枚打ち済み)。`
+      case 'occupied':
+        return `${square}には${seatLabel(reason.piece)}の駒があります。`
+      case 'empty_square':
+        return `${square}に駒がありません。`
+      case 'opponent_piece':
+        return `${square}は相手の駒です。`
+      case 'not_reachable':
+        return `${square}へは1マス移動でも斜めスライドでも届きません。`
+      case 'slide_start_not_own_color':
+        return `${square}は${cellTypeLabel(reason.cellType)}のマスなので斜めスライドを始められません。`
+      case 'slide_path_not_own_color':
+        return `経路上の${square}が${cellTypeLabel(reason.cellType)}のマスなので斜めスライドできません。`
+      case 'slide_blocked':
+        return `経路上の${square}に駒があるため斜めスライドできません。`
+      default:
+        return null
+    }
+  }
+  const errorMessage = (code, reason) => {
+    const detail = reasonMessage(reason)
+    if (detail) return detail
     switch (code) {
       case 'game_not_active':
         return '対局が開始されていません。'
@@ -127,6 +199,20 @@ export default function RoomPage() {
         return '自分の駒ではありません。'
       case 'not_seated':
         return '着席していません。'
+      case 'invalid_ruleset':
+        return 'そのルールは選択できません。'
+      case 'hints_disabled':
+        return 'このルームではヒントが無効です。'
+      case 'seat_taken':
+        return 'その席は埋まっています。'
+      case 'exhibition_running':
+        return 'CPU同士の対局中です。先に停止してください。'
+      case 'unknown_engine':
+        return 'そのエンジンは選択できません。'
+      case 'invalid_delay':
+        return `手の間隔は${EXHIBITION_DELAY.min}〜${EXHIBITION_DELAY.max}ミリ秒で指定してください。`
+      case 'queue_full':
+        return 'CPUが混み合っています。少し待ってから試してください。'
       default:
         return '操作に失敗しました。'
     }
@@ -183,6 +269,20 @@ export default function RoomPage() {
       if (payload && payload.roomId === numericRoomId) {
         setGame(payload.game)
         setSelected(null)
+        setHint(null)
+        setHintError('')
+      }
+    }
+
+    const handleGameReport = (payload) => {
+      if (payload && payload.roomId === numericRoomId) {
+        setReport(payload.report)
+      }
+    }
+
+    const handleCpuState = (payload) => {
+      if (payload && payload.roomId === numericRoomId) {
+        setCpuState(payload.cpu)
       }
     }
 
@@ -192,6 +292,8 @@ export default function RoomPage() {
     socket.on('chat:cleared', handleChatClear)
     socket.on('room:forfeit', handleForfeit)
     socket.on('game:state', handleGameState)
+    socket.on('game:report', handleGameReport)
+    socket.on('cpu:state', handleCpuState)
 
     socket.emit('room:join', { roomId: numericRoomId }, (response) => {
       if (!active) return
@@ -202,6 +304,7 @@ export default function RoomPage() {
       setRoom(response.state.room)
       setChat(response.state.chat)
       setGame(response.state.game)
+      setCpuState(response.state.cpu)
     })
 
     apiGet(`/api/rooms/${numericRoomId}`)
@@ -210,6 +313,7 @@ export default function RoomPage() {
           setRoom(data.room)
           setChat(data.chat)
           setGame(data.game)
+          setCpuState(data.cpu)
         }
       })
       .catch(() => {})
@@ -223,6 +327,8 @@ export default function RoomPage() {
       socket.off('chat:cleared', handleChatClear)
       socket.off('room:forfeit', handleForfeit)
       socket.off('game:state', handleGameState)
+      socket.off('game:report', handleGameReport)
+      socket.off('cpu:state', handleCpuState)
     }
   }, [numericRoomId])
 
@@ -230,6 +336,37 @@ export default function RoomPage() {
     chatEndRef.current?.scrollIntoView({ behavior: 'smooth' })
   }, [chat])
 
+  // サーバーに設定された外部エンジンの一覧（CPUの思考の選択肢に加える）
+  useEffect(() => {
+    let active = true
+    apiGet('/api/engines')
+      .then((data) => {
+        if (active) setEngines(data.engines)
+      })
+      .catch(() => {})
+    return () => {
+      active = false
+    }
+  }, [])
+
+  // 終局した対局の解析レポートを取得（作成中なら game:report を待つ）
+  const gameStatus = game?.status
+  const gameStartedAt = game?.startedAt
+  useEffect(() => {
+    if (gameStatus !== 'finished') return
+    let active = true
+    apiGet(`/api/rooms/${numericRoomId}/report`)
+      .then((data) => {
+        if (active && data.status === 'ready') {
+          setReport(data.report)
+        }
+      })
+      .catch(() => {})
+    return () => {
+      active = false
+    }
+  }, [numericRoomId, gameStatus, gameStartedAt])
+
   const handleSeat = (color) => {
     const socket = getSocket()
     socket.emit('seat:take', { roomId: numericRoomId, color }, (response) => {
@@ -257,11 +394,16 @@ export default function RoomPage() {
     const socket = getSocket()
     socket.emit(
       'cpu:configure',
-      { roomId: numericRoomId, enabled: true, color, level: 'strong' },
+      {
+        roomId: numericRoomId,
+        enabled: true,
+        color,
+        ...cpuPlayerPayload(cpuPlayer),
+      },
       (response) => {
         if (!response?.ok) {
-          if (response?.error === 'seat_taken') {
-            setCpuError('その席は埋まっています。')
+          if (['seat_taken', 'exhibition_running', 'unknown_engine'].includes(response?.error)) {
+            setCpuError(errorMessage(response.error))
           } else if (response?.error === 'game_in_progress') {
             setCpuError('対局中はCPU設定を変更できません。')
           } else {
@@ -290,6 +432,37 @@ export default function RoomPage() {
     )
   }
 
+  const handleExhibitionStart = () => {
+    setCpuError('')
+    const socket = getSocket()
+    socket.emit(
+      'cpu:exhibition',
+      {
+        roomId: numericRoomId,
+        enabled: true,
+        black: cpuPlayerPayload(exhibitionPlayers.black),
+        white: cpuPlayerPayload(exhibitionPlayers.white),
+        delayMs: exhibitionDelay,
+        autoRestart: exhibitionAutoRestart,
+      },
+      (response) => {
+        if (!response?.ok) {
+          setCpuError(errorMessage(response?.error))
+        }
+      }
+    )
+  }
+
+  const handleExhibitionStop = () => {
+    setCpuError('')
+    const socket = getSocket()
+    socket.emit('cpu:exhibition', { roomId: numericRoomId, enabled: false }, (response) => {
+      if (!response?.ok) {
+        setCpuError('CPU同士の対局の停止に失敗しました。')
+      }
+    })
+  }
+
   const handleSend = (event) => {
     event.preventDefault()
     if (!message.trim()) {
@@ -328,30 +501,139 @@ export default function RoomPage() {
     return null
   }, [mySeat])
   const canReleaseCpu = Boolean(cpuSeatColor && mySeat && mySeat !== cpuSeatColor)
+  // 観戦中で、人が座っていなければCPU同士の対局を設定できる
+  const canConfigureExhibition = Boolean(
+    room?.seats &&
+      !mySeat &&
+      ['black', 'white'].every((color) => !room.seats[color] || room.seats[color].loginId === 'cpu')
+  )
   const mySeatText = mySeat ? `着席中(${seatLabel(mySeat)})` : '観戦中'
+  const rules = getRuleset(game?.ruleset)
   const board = Array.isArray(game?.board)
     ? game.board
-    : Array.from({ length: 5 }, () => Array(5).fill(null))
+    : Array.from({ length: rules.boardSize }, () => Array(rules.boardSize).fill(null))
+  const boardSize = board.length
   const placed = game?.placed || { black: 0, white: 0 }
   const ready = game?.ready || { black: false, white: false }
-  const myPiecesLeft = mySeat ? Math.max(0, 6 - (placed[mySeat] || 0)) : 0
+  const piecesLeft = (color) => Math.max(0, rules.maxPieces - (placed[color] || 0))
+  const myPiecesLeft = mySeat ? piecesLeft(mySeat) : 0
   const isMyTurn = game?.status === 'playing' && game?.turn === mySeat
   const turnLabel = game?.turn ? seatLabel(game.turn) : '-'
-  const moveTargets =
-    selected && mySeat && isMyTurn && game?.status === 'playing'
-      ? getValidMoves(board, mySeat, selected)
-      : new Set()
+  // 合法手とプレビューはサーバーと同じルールパッケージで計算する
+  const legalActions = isMyTurn ? listActions(game, mySeat) : []
+  const moveTargets = new Set(
+    selected
+      ? legalActions
+          .filter((action) => action.type === 'move' && cellKey(action.from) === cellKey(selected))
+          .map((action) => cellKey(action.to))
+      : []
+  )
+  const previewAction = (() => {
+    if (!hovered || !isMyTurn) return null
+    if (selected) {
+      if (!moveTargets.has(cellKey(hovered))) return null
+      return { type: 'move', color: mySeat, from: selected, to: hovered }
+    }
+    const canPlace = legalActions.some(
+      (action) => action.type === 'place' && cellKey(action.to) === cellKey(hovered)
+    )
+    return canPlace ? { type: 'place', color: mySeat, to: hovered } : null
+  })()
+  const preview = previewAction ? applyAction(game, previewAction) : null
+  const previewFlips = new Set(
+    preview?.ok ? preview.state.lastMove.flipped.map(([row, col]) => `${row},${col}`) : []
+  )
+  const previewLabel = (() => {
+    if (!preview?.ok || preview.state.status !== 'finished') return ''
+    if (!preview.state.winner) return 'この手で引き分けになります。'
+    if (preview.state.winner === mySeat) return 'この手で勝ちになります。'
+    return 'この手で負けになります。'
+  })()
+  // 解析した局面から進んでいたらヒントは表示しない
+  const activeHint = hint && game?.status === 'playing' && hint.ply === game.moves.length ? hint : null
+  const hintCells = new Set(
+    activeHint?.candidates?.[0]
+      ? [activeHint.candidates[0].action.to, activeHint.candidates[0].action.from].filter(Boolean).map(cellKey)
+      : []
+  )
+  // 評価値を黒の勝率の目安に変換（評価バー用）
+  const blackShare = activeHint ? 1 / (1 + Math.exp(-activeHint.blackScore / 400)) : 0.5
+  const scoreLabel = (score) => {
+    if (score >= 90000) return '勝ち筋'
+    if (score <= -90000) return '負け筋'
+    return score > 0 ? `+${score}` : `${score}`
+  }
+  const activeReport =
+    report && game?.status === 'finished' && report.startedAt === game.startedAt ? report : null
+  const decisiveCells = new Set(
+    game?.status === 'finished' && Array.isArray(game?.lastMove?.decidedBy?.cells)
+      ? game.lastMove.decidedBy.cells.map(([row, col]) => `${row},${col}`)
+      : []
+  )
   const resultLabel = (() => {
     if (!game || game.status !== 'finished') return ''
+    if (game.result === 'repetition') return '引き分け(同一局面の繰り返し)'
+    if (game.result === 'move_limit') return '引き分け(手数上限)'
     if (!game.winner) return '対局終了'
     if (game.result === 'four') return `${seatLabel(game.winner)}の勝ち(4目)`
     if (game.result === 'five') return `${seatLabel(game.winner)}の勝ち(5目のため負け)`
+    if (game.result === 'no_moves') {
+      return `${seatLabel(game.winner)}の勝ち(相手の手詰まり)`
+    }
     if (game.result === 'forfeit') {
       return `${seatLabel(game.winner)}の勝ち(相手の退出)`
     }
+    if (game.result === 'engine_error') {
+      return `${seatLabel(game.winner)}の勝ち(相手のエンジンの異常)`
+    }
     return `${seatLabel(game.winner)}の勝ち`
   })()
 
+  const handleRulesetChange = (rulesetId) => {
+    const socket = getSocket()
+    socket.emit(
+      'game:ruleset',
+      { roomId: numericRoomId, ruleset: rulesetId },
+      (response) => {
+        if (!response?.ok) {
+          setError(errorMessage(response?.error))
+        } else {
+          setError('')
+        }
+      }
+    )
+  }
+
+  const handleHintsToggle = () => {
+    const socket = getSocket()
+    socket.emit(
+      'room:settings',
+      { roomId: numericRoomId, hints: !room?.hintsEnabled },
+      (response) => {
+        if (!response?.ok) {
+          setError(errorMessage(response?.error))
+        } else {
+          setError('')
+        }
+      }
+    )
+  }
+
+  const handleHint = () => {
+    setHintLoading(true)
+    setHintError('')
+    const socket = getSocket()
+    socket.emit('game:hint', { roomId: numericRoomId, count: 3 }, (response) => {
+      setHintLoading(false)
+      if (!response?.ok) {
+        setHint(null)
+        setHintError(errorMessage(response?.error))
+      } else {
+        setHint(response)
+      }
+    })
+  }
+
   const handleReadyToggle = () => {
     if (!mySeat) return
     const socket = getSocket()
@@ -368,6 +650,12 @@ export default function RoomPage() {
     )
   }
 
+  // 送信前に弾かれる操作も、共通ルールで判定した理由を表示する
+  const showRejection = (action) => {
+    const result = applyAction(game, { ...action, color: mySeat })
+    setError(result.ok ? '' : errorMessage(result.error, result.reason))
+  }
+
   const handleCellClick = (row, col) => {
     setNotice('')
     if (!game || game.status !== 'playing') {
@@ -394,7 +682,7 @@ export default function RoomPage() {
       }
       if (cellValue === null) {
         if (!moveTargets.has(`${row},${col}`)) {
-          setError('そのマスには移動できません。')
+          showRejection({ type: 'move', from: selected, to: { row, col } })
           return
         }
         const socket = getSocket()
@@ -403,7 +691,7 @@ export default function RoomPage() {
           { roomId: numericRoomId, from: selected, to: { row, col } },
           (response) => {
             if (!response?.ok) {
-              setError(errorMessage(response?.error))
+              setError(errorMessage(response?.error, response?.reason))
             } else {
               setError('')
               setSelected(null)
@@ -412,7 +700,7 @@ export default function RoomPage() {
         )
         return
       }
-      setError('そのマスには移動できません。')
+      showRejection({ type: 'move', from: selected, to: { row, col } })
       return
     }
     if (cellValue === mySeat) {
@@ -422,7 +710,7 @@ export default function RoomPage() {
     }
     if (cellValue === null) {
       if (myPiecesLeft <= 0) {
-        setError('持ち駒がありません。')
+        showRejection({ type: 'place', to: { row, col } })
         return
       }
       const socket = getSocket()
@@ -431,7 +719,7 @@ export default function RoomPage() {
         { roomId: numericRoomId, row, col },
         (response) => {
           if (!response?.ok) {
-            setError(errorMessage(response?.error))
+            setError(errorMessage(response?.error, response?.reason))
           } else {
             setError('')
           }
@@ -439,7 +727,7 @@ export default function RoomPage() {
       )
       return
     }
-    setError('そのマスには置けません。')
+    showRejection({ type: 'place', to: { row, col } })
   }
 
   return (
@@ -477,21 +765,54 @@ export default function RoomPage() {
                 準備: 黒 {ready.black ? '●' : '○'} / 白 {ready.white ? '●' : '○'}
               </div>
               <div className="inline-flex items-center rounded-md bg-muted px-2 py-1 font-medium">
-                持ち駒: 黒 {Math.max(0, 6 - (placed.black || 0))} / 白 {Math.max(0, 6 - (placed.white || 0))}
+                持ち駒: 黒 {piecesLeft('black')} / 白 {piecesLeft('white')}
+              </div>
+              <div className="inline-flex items-center rounded-md bg-muted px-2 py-1 font-medium">
+                ルール: {rules.name}
               </div>
             </div>
+            {mySeat && game?.status !== 'playing' && (
+              <div className="flex flex-wrap gap-2 pt-2">
+                {Object.values(RULESETS).map((option) => (
+                  <Button
+                    key={option.id}
+                    size="sm"
+                    variant={option.id === rules.id ? 'default' : 'outline'}
+                    onClick={() => handleRulesetChange(option.id)}
+                  >
+                    {option.name}
+                  </Button>
+                ))}
+                <Button size="sm" variant="outline" onClick={handleHintsToggle}>
+                  ヒント: {room?.hintsEnabled ? '有効' : '無効'}
+                </Button>
+              </div>
+            )}
           </CardHeader>
           <CardContent className="flex flex-col items-center gap-4">
             {resultLabel && <div className="w-full rounded-md bg-primary/10 p-3 text-center text-sm font-medium text-primary border border-primary/20">{resultLabel}</div>}
             
             <div className="relative w-full max-w-[500px] rounded-2xl border-4 border-border bg-white p-4 shadow-lg">
-              <img className="w-full h-auto block opacity-60" src="/board.svg" alt="盤面" />
-              <div className="absolute inset-4 grid grid-cols-5 grid-rows-5 p-[3.2%]">
+              {boardSize === 5 ? (
+                <img className="w-full h-auto block opacity-60" src="/board.svg" alt="盤面" />
+              ) : (
+                <div className="w-full aspect-square" aria-label="盤面" />
+              )}
+              <div
+                className="absolute inset-4 grid p-[3.2%]"
+                style={{
+                  gridTemplateColumns: `repeat(${boardSize}, minmax(0, 1fr))`,
+                  gridTemplateRows: `repeat(${boardSize}, minmax(0, 1fr))`,
+                }}
+              >
                 {board.map((row, rowIndex) =>
                   row.map((cell, colIndex) => {
                     const key = `${rowIndex}-${colIndex}`
                     const isSelected = selected?.row === rowIndex && selected?.col === colIndex
                     const isMoveable = moveTargets.has(`${rowIndex},${colIndex}`)
+                    const isDecisive = decisiveCells.has(`${rowIndex},${colIndex}`)
+                    const isPreviewFlip = previewFlips.has(`${rowIndex},${colIndex}`)
+                    const cellType = boardSize === 5 ? null : getCellType(rowIndex, colIndex, rules)
                     return (
                       <button
                         key={key}
@@ -499,16 +820,25 @@ export default function RoomPage() {
                         className={cn(
                           "flex items-center justify-center rounded-full transition-colors relative",
                           "hover:bg-primary/10",
+                          cellType && "m-[3%] rounded-md",
+                          cellType === 'neutral' && "bg-amber-100",
+                          cellType === 'black' && "bg-gray-300",
+                          cellType === 'white' && "bg-gray-50 border border-gray-200",
                           isSelected && "shadow-[0_0_0_2px] shadow-secondary bg-secondary/10",
-                          isMoveable && "bg-primary/15"
+                          isMoveable && "bg-primary/15",
+                          isDecisive && "shadow-[0_0_0_3px] shadow-amber-400 bg-amber-200/40",
+                          hintCells.has(`${rowIndex},${colIndex}`) && "shadow-[0_0_0_3px] shadow-sky-400"
                         )}
                         onClick={() => handleCellClick(rowIndex, colIndex)}
+                        onMouseEnter={() => setHovered({ row: rowIndex, col: colIndex })}
+                        onMouseLeave={() => setHovered(null)}
                         aria-label={`セル ${rowIndex + 1}-${colIndex + 1}`}
                       >
                         {cell && (
                           <span className={cn(
                             "w-[70%] aspect-square rounded-full shadow-[inset_2px_2px_4px_rgba(255,255,255,0.4),inset_-2px_-2px_4px_rgba(0,0,0,0.2),0_2px_4px_rgba(0,0,0,0.2)]",
-                            cell === 'black' ? "bg-gray-900 border border-gray-800" : "bg-gray-100 border border-gray-300"
+                            cell === 'black' ? "bg-gray-900 border border-gray-800" : "bg-gray-100 border border-gray-300",
+                            isPreviewFlip && "ring-4 ring-primary/60"
                           )} />
                         )}
                         {isMoveable && !cell && (
@@ -521,6 +851,37 @@ export default function RoomPage() {
               </div>
             </div>
             
+            {previewLabel && (
+              <p className="text-xs text-center font-medium text-primary">{previewLabel}</p>
+            )}
+
+            {game?.status === 'playing' && room?.hintsEnabled && (
+              <div className="w-full max-w-[500px] space-y-2">
+                <div className="flex items-center gap-2">
+                  <Button size="sm" variant="outline" onClick={handleHint} disabled={hintLoading}>
+                    {hintLoading ? '解析中...' : 'ヒント'}
+                  </Button>
+                  {activeHint && (
+                    <div className="flex-1 h-3 rounded-full overflow-hidden border border-gray-300 bg-gray-100" aria-label="評価バー">
+                      <div className="h-full bg-gray-900 transition-all" style={{ width: `${Math.round(blackShare * 100)}%` }} />
+                    </div>
+                  )}
+                </div>
+                {hintError && <p className="text-xs text-destructive">{hintError}</p>}
+                {activeHint && (
+                  <ol className="space-y-1 text-xs">
+                    {activeHint.candidates.map((candidate) => (
+                      <li key={candidate.notation} className="flex gap-2 rounded-md bg-muted px-2 py-1 font-mono">
+                        <span className="font-semibold">{candidate.notation}</span>
+                        <span>{scoreLabel(candidate.score)}</span>
+                        <span className="text-muted-foreground truncate">{candidate.pv.join(' ')}</span>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+            )}
+
             <p className="text-xs text-center text-muted-foreground bg-muted rounded-md px-3 py-2">
               両者が開始を押すと対局開始。空きマスクリックで配置、駒を選択して移動。
             </p>
@@ -533,6 +894,9 @@ export default function RoomPage() {
               <CardTitle className="text-sm font-semibold uppercase tracking-wide text-muted-foreground">着席</CardTitle>
             </CardHeader>
             <CardContent className="space-y-3">
+              {opponentColor && !room?.seats[opponentColor] && (
+                <CpuPlayerPicker label="CPUの思考" value={cpuPlayer} onChange={setCpuPlayer} engines={engines} />
+              )}
               <div className="rounded-lg border bg-card p-3 space-y-2">
                 <div className="flex items-center justify-between">
                   <div className="flex items-center gap-2">
@@ -607,12 +971,122 @@ export default function RoomPage() {
             </CardContent>
           </Card>
 
+          {(cpuState?.exhibition || canConfigureExhibition) && (
+            <Card>
+              <CardHeader className="pb-3">
+                <CardTitle className="text-sm font-semibold uppercase tracking-wide text-muted-foreground">CPU同士の対局</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {cpuState?.exhibition ? (
+                  <>
+                    <div className="space-y-1 text-sm">
+                      <div>黒: {cpuPlayerLabel(cpuState.players.black)}</div>
+                      <div>白: {cpuPlayerLabel(cpuState.players.white)}</div>
+                    </div>
+                    <div className="rounded-md bg-muted px-2 py-1 font-mono text-xs">
+                      黒 {cpuState.tally.black}勝 / 白 {cpuState.tally.white}勝 / 引き分け {cpuState.tally.draw}
+                    </div>
+                    <div className="text-xs text-muted-foreground">
+                      手の間隔 {cpuState.delayMs}ms・{cpuState.autoRestart ? '終局後に自動で次の対局' : '1局で終了'}
+                    </div>
+                    <Button variant="outline" size="sm" className="w-full" onClick={handleExhibitionStop}>
+                      停止
+                    </Button>
+                  </>
+                ) : (
+                  <>
+                    <CpuPlayerPicker
+                      label="黒"
+                      value={exhibitionPlayers.black}
+                      onChange={(player) => setExhibitionPlayers((prev) => ({ ...prev, black: player }))}
+                      engines={engines}
+                    />
+                    <CpuPlayerPicker
+                      label="白"
+                      value={exhibitionPlayers.white}
+                      onChange={(player) => setExhibitionPlayers((prev) => ({ ...prev, white: player }))}
+                      engines={engines}
+                    />
+                    <label className="flex items-center gap-2">
+                      <span className="text-xs text-muted-foreground">手の間隔(ms)</span>
+                      <Input
+                        type="number"
+                        min={EXHIBITION_DELAY.min}
+                        max={EXHIBITION_DELAY.max}
+                        step={100}
+                        value={exhibitionDelay}
+                        onChange={(event) => setExhibitionDelay(Number(event.target.value))}
+                        className="h-8 flex-1"
+                      />
+                    </label>
+                    <div className="flex gap-2">
+                      <Button
+                        size="sm"
+                        variant={exhibitionAutoRestart ? 'secondary' : 'outline'}
+                        className="flex-1"
+                        onClick={() => setExhibitionAutoRestart((prev) => !prev)}
+                      >
+                        自動で次の対局: {exhibitionAutoRestart ? 'オン' : 'オフ'}
+                      </Button>
+                      <Button size="sm" className="flex-1" onClick={handleExhibitionStart}>
+                        開始
+                      </Button>
+                    </div>
+                  </>
+                )}
+              </CardContent>
+            </Card>
+          )}
+
           {cpuError && (
             <div className="rounded-md bg-destructive/10 p-3 text-sm font-medium text-destructive">
               {cpuError}
             </div>
           )}
 
+          {activeReport && (
+            <Card>
+              <CardHeader className="pb-3">
+                <CardTitle className="text-sm font-semibold uppercase tracking-wide text-muted-foreground">対局の解析</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                <div className="grid grid-cols-2 gap-2 text-xs">
+                  {['black', 'white'].map((color) => (
+                    <div key={color} className="rounded-md bg-muted px-2 py-1">
+                      <div className="font-medium">{seatLabel(color)}</div>
+                      <div>
+                        疑問手 {activeReport.summary[color].inaccuracies} / 悪手 {activeReport.summary[color].mistakes} / 大悪手 {activeReport.summary[color].blunders}
+                      </div>
+                      <div className="text-muted-foreground">平均損失 {activeReport.summary[color].averageLoss}</div>
+                    </div>
+                  ))}
+                </div>
+                <ol className="max-h-64 overflow-y-auto space-y-1 text-xs font-mono">
+                  {activeReport.moves.map((move) => (
+                    <li
+                      key={move.ply}
+                      className={cn(
+                        "flex gap-2 rounded px-2 py-0.5",
+                        move.classification === 'inaccuracy' && "bg-amber-100",
+                        move.classification === 'mistake' && "bg-orange-200",
+                        move.classification === 'blunder' && "bg-destructive/15"
+                      )}
+                    >
+                      <span className="w-6 text-right text-muted-foreground">{move.ply}</span>
+                      <span className="w-4">{seatLabel(move.color)}</span>
+                      <span className="w-16 font-semibold">{move.notation}</span>
+                      <span>{CLASSIFICATION_LABELS[move.classification]}</span>
+                      {move.classification !== 'best' && move.best && (
+                        <span className="text-muted-foreground">最善 {move.best}</span>
+                      )}
+                      {move.missedWin && <span className="font-semibold text-destructive">{MISSED_WIN_LABELS[move.missedWin]}</span>}
+                    </li>
+                  ))}
+                </ol>
+              </CardContent>
+            </Card>
+          )}
+
           <Card className="flex flex-col h-[400px]">
             <CardHeader className="pb-3 border-b">
               <CardTitle className="text-base">ルームチャット</CardTitle>
@@ -21,6 +21,16 @@ export default defineConfig(({ mode }) => {
         "@": path.resolve(__dirname, "./src"),
       },
     },
+    // 共通ルールパッケージ（../shared）はCommonJSのリンク依存のため、
+    // 開発時の事前バンドルとビルド時のCommonJS変換の対象に含める
+    optimizeDeps: {
+      include: ['@yonmoque/rules'],
+    },
+    build: {
+      commonjsOptions: {
+        include: [/shared/, /node_modules/],
+      },
+    },
     server: {
       proxy: {
         '/api': apiUrl,
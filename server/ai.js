@@ -8,157 +8,32 @@
  */
 
 const {
-  BOARD_SIZE,
-  MAX_PIECES,
-  getCellType,
   getOpponent,
-  applyAction,
-} = require("./game");
-
-/**
- * 8方向の移動ベクトル
- * 縦・横・斜めすべての方向を含む
- * @type {Array<Array<number>>}
- */
-const DIRECTIONS = [
-  [1, 0],   // 下
-  [-1, 0],  // 上
-  [0, 1],   // 右
-  [0, -1],  // 左
-  [1, 1],   // 右下
-  [1, -1],  // 左下
-  [-1, 1],  // 右上
-  [-1, -1], // 左上
-];
-
-/**
- * 斜め方向のみの移動ベクトル
- * 斜めスライド移動で使用
- * @type {Array<Array<number>>}
- */
-const DIAG_DIRECTIONS = [
-  [1, 1],   // 右下
-  [1, -1],  // 左下
-  [-1, 1],  // 右上
-  [-1, -1], // 左上
-];
+  getStateRuleset,
+  applySearchAction,
+  listActions,
+} = require("@yonmoque/rules");
+const {
+  BOUND,
+  getZobrist,
+  hashState,
+  hashChild,
+  createTranspositionTable,
+} = require("./transposition");
+const { pickBookMove } = require("./opening-book");
+const { RESULT, isEndgame, solveEndgame } = require("./endgame");
+const { WEIGHT_KEYS, loadWeights } = require("./weights");
+const { createRandom, seedFromString } = require("./random");
 
 /**
  * 座標が盤面内かどうかを判定します。
  * @param {number} row - 行番号
  * @param {number} col - 列番号
+ * @param {number} size - 盤面のサイズ
  * @returns {boolean} 盤面内ならtrue
  */
-function inBounds(row, col) {
-  return row >= 0 && row < BOARD_SIZE && col >= 0 && col < BOARD_SIZE;
-}
-
-/**
- * 指定されたプレイヤーが実行可能なすべてのアクションを列挙します。
- * @param {Object} state - 現在のゲーム状態
- * @param {'black'|'white'} color - アクションを実行するプレイヤーの色
- * @returns {Array<Object>} 実行可能なアクションの配列
- */
-function listActions(state, color) {
-  const actions = [];
-  const used = new Set();  // 重複防止用
-
-  /**
-   * アクションを追加（重複チェック付き）
-   * @param {Object} action - 追加するアクション
-   * @param {string} key - 重複チェック用のキー
-   */
-  const addAction = (action, key) => {
-    if (!used.has(key)) {
-      used.add(key);
-      actions.push(action);
-    }
-  };
-
-  // === 駒を打つアクション ===
-  // 持ち駒が残っている場合のみ
-  if (state.placed[color] < MAX_PIECES) {
-    for (let row = 0; row < BOARD_SIZE; row += 1) {
-      for (let col = 0; col < BOARD_SIZE; col += 1) {
-        // 空きマスに配置可能
-        if (state.board[row][col] === null) {
-          addAction({ type: "place", color, to: { row, col } }, `p-${row}-${col}`);
-        }
-      }
-    }
-  }
-
-  // === 駒を移動するアクション ===
-  for (let row = 0; row < BOARD_SIZE; row += 1) {
-    for (let col = 0; col < BOARD_SIZE; col += 1) {
-      // 自分の駒でなければスキップ
-      if (state.board[row][col] !== color) {
-        continue;
-      }
-
-      const from = { row, col };
-
-      // --- 1マス移動（8方向） ---
-      for (const [dr, dc] of DIRECTIONS) {
-        const toRow = row + dr;
-        const toCol = col + dc;
-
-        // 盤面外または既に駒がある場合はスキップ
-        if (!inBounds(toRow, toCol)) {
-          continue;
-        }
-        if (state.board[toRow][toCol] !== null) {
-          continue;
-        }
-
-        addAction(
-          { type: "move", color, from, to: { row: toRow, col: toCol } },
-          `m-${row}-${col}-${toRow}-${toCol}`
-        );
-      }
-
-      // --- 斜めスライド移動 ---
-      // 自分の色のマス上にいる場合のみ
-      if (getCellType(row, col) !== color) {
-        continue;
-      }
-
-      for (const [dr, dc] of DIAG_DIRECTIONS) {
-        let step = 1;
-        while (true) {
-          const toRow = row + dr * step;
-          const toCol = col + dc * step;
-
-          // 盤面外なら終了
-          if (!inBounds(toRow, toCol)) {
-            break;
-          }
-
-          // 自分の色のマスでなければ終了
-          if (getCellType(toRow, toCol) !== color) {
-            break;
-          }
-
-          // 途中に駒があれば終了
-          if (state.board[toRow][toCol] !== null) {
-            break;
-          }
-
-          // 2マス以上の移動のみ有効（1マス移動は上で処理済み）
-          if (step >= 2) {
-            addAction(
-              { type: "move", color, from, to: { row: toRow, col: toCol } },
-              `m-${row}-${col}-${toRow}-${toCol}`
-            );
-          }
-
-          step += 1;
-        }
-      }
-    }
-  }
-
-  return actions;
+function inBounds(row, col, size) {
+  return row >= 0 && row < size && col >= 0 && col < size;
 }
 
 /**
@@ -169,8 +44,8 @@ function listActions(state, color) {
  */
 function countPieces(board, color) {
   let total = 0;
-  for (let row = 0; row < BOARD_SIZE; row += 1) {
-    for (let col = 0; col < BOARD_SIZE; col += 1) {
+  for (let row = 0; row < board.length; row += 1) {
+    for (let col = 0; col < board.length; col += 1) {
       if (board[row][col] === color) {
         total += 1;
       }
@@ -184,10 +59,15 @@ function countPieces(board, color) {
  * 評価関数で使用し、4目リーチなどを検出します。
  * @param {Array<Array<string|null>>} board - 盤面
  * @param {'black'|'white'} color - カウントする色
- * @returns {Object} 長さごとのライン数 {1: n, 2: n, 3: n, 4: n, 5: n}
+ * @param {number} [maxLength=5] - これ以上の長さはまとめてカウントする長さ
+ * @returns {Object} 長さごとのライン数 {1: n, 2: n, ..., maxLength: n}
  */
-function lineCounts(board, color) {
-  const counts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+function lineCounts(board, color, maxLength = 5) {
+  const size = board.length;
+  const counts = {};
+  for (let length = 1; length <= maxLength; length += 1) {
+    counts[length] = 0;
+  }
 
   // 縦・横・斜め（右下、左下）の4方向
   const scanDirs = [
@@ -197,8 +77,8 @@ function lineCounts(board, color) {
     [-1, 1],  // 左下斜め
   ];
 
-  for (let row = 0; row < BOARD_SIZE; row += 1) {
-    for (let col = 0; col < BOARD_SIZE; col += 1) {
+  for (let row = 0; row < size; row += 1) {
+    for (let col = 0; col < size; col += 1) {
       // 指定色の駒でなければスキップ
       if (board[row][col] !== color) {
         continue;
@@ -208,7 +88,7 @@ function lineCounts(board, color) {
         // ラインの先頭からのみカウント（重複防止）
         const prevRow = row - dr;
         const prevCol = col - dc;
-        if (inBounds(prevRow, prevCol) && board[prevRow][prevCol] === color) {
+        if (inBounds(prevRow, prevCol, size) && board[prevRow][prevCol] === color) {
           continue;
         }
 
@@ -216,15 +96,15 @@ function lineCounts(board, color) {
         let length = 0;
         let r = row;
         let c = col;
-        while (inBounds(r, c) && board[r][c] === color) {
+        while (inBounds(r, c, size) && board[r][c] === color) {
           length += 1;
           r += dr;
           c += dc;
         }
 
-        // 長さ5以上は5としてカウント
+        // maxLength以上はmaxLengthとしてカウント
         if (length >= 1) {
-          counts[Math.min(length, 5)] += 1;
+          counts[Math.min(length, maxLength)] += 1;
         }
       }
     }
@@ -233,20 +113,56 @@ function lineCounts(board, color) {
   return counts;
 }
 
+/**
+ * 評価関数の特徴量を求めます（weights.js の WEIGHT_KEYS の順）。
+ * 評価値は特徴量と重みの内積なので、重みの調整では局面ごとに一度だけ求めれば済みます。
+ *
+ * - ラインの数: 自分の勝ちの長さ・1短い・2短いライン、1目（相手の分は符号を反転）
+ * - 駒数: 盤面上の駒の数の差
+ * - 機動力: 実行可能なアクション数の差
+ *
+ * @param {Object} state - 進行中のゲーム状態
+ * @param {'black'|'white'} color - 評価の基準となるプレイヤーの色
+ * @returns {Array<number>} 特徴量
+ */
+function extractFeatures(state, color) {
+  const opponent = getOpponent(color);
+  const rules = getStateRuleset(state);
+  const win = rules.winLength;
+
+  // 自分と相手のラインをカウント（クラシックルールでは win=4）
+  const myLines = lineCounts(state.board, color, rules.loseLength);
+  const oppLines = lineCounts(state.board, opponent, rules.loseLength);
+
+  return [
+    myLines[win],
+    myLines[win - 1],
+    myLines[win - 2],
+    myLines[1],
+    -oppLines[win],
+    -oppLines[win - 1],
+    -oppLines[win - 2],
+    -oppLines[1],
+    countPieces(state.board, color) - countPieces(state.board, opponent),
+    listActions(state, color).length - listActions(state, opponent).length,
+  ];
+}
+
 /**
  * ゲーム状態を評価し、スコアを返します。
  * 正のスコアは指定プレイヤーに有利、負のスコアは不利を示します。
  *
- * 評価要素:
+ * 評価要素（extractFeatures の特徴量と重みの内積）:
  * - ラインスコア: 連続した駒の数（4目は高得点、5目はペナルティ）
  * - 駒数スコア: 盤面上の駒の数の差
  * - 機動力スコア: 実行可能なアクション数の差
  *
  * @param {Object} state - 評価するゲーム状態
  * @param {'black'|'white'} color - 評価の基準となるプレイヤーの色
- * @returns {number} 評価スコア（勝利: +100000、敗北: -100000）
+ * @param {Object} [weights] - 評価の重み（省略時は重みファイル、なければ手で決めた重み）
+ * @returns {number} 評価スコア（勝利: +100000、敗北: -100000、引き分け: 0）
  */
-function evaluateState(state, color) {
+function evaluateState(state, color, weights = loadWeights()) {
   // 終了状態の場合は勝敗で決定的なスコアを返す
   if (state.status === "finished") {
     if (state.winner === color) {
@@ -255,108 +171,264 @@ function evaluateState(state, color) {
     if (state.winner) {
       return -100000;  // 敗北
     }
+    return 0;          // 引き分け
   }
 
-  const opponent = getOpponent(color);
+  const features = extractFeatures(state, color);
+  let score = 0;
+  for (let index = 0; index < features.length; index += 1) {
+    score += features[index] * weights[WEIGHT_KEYS[index]];
+  }
+  return score;
+}
+
+/**
+ * 2つのアクションが同じ手かどうかを判定します。
+ * @param {Object} a - アクション
+ * @param {Object} b - アクション
+ * @returns {boolean} 同じ手ならtrue
+ */
+function isSameAction(a, b) {
+  if (a.type !== b.type || a.to.row !== b.to.row || a.to.col !== b.to.col) {
+    return false;
+  }
+  if (a.type === "place") {
+    return true;
+  }
+  return a.from.row === b.from.row && a.from.col === b.from.col;
+}
 
-  // 自分と相手のラインをカウント
-  const myLines = lineCounts(state.board, color);
-  const oppLines = lineCounts(state.board, opponent);
-
-  // ラインスコアの計算
-  // 4目は非常に高い得点、3目、2目、1目も加点
-  // 相手の4目は自分より少し高いペナルティ（防御重視）
-  const lineScore =
-    myLines[4] * 8000 +
-    myLines[3] * 420 +
-    myLines[2] * 60 +
-    myLines[1] * 10 -
-    (oppLines[4] * 8200 + oppLines[3] * 440 + oppLines[2] * 70 + oppLines[1] * 10);
-
-  // 駒数スコア（盤面上の駒の差）
-  const pieceScore =
-    (countPieces(state.board, color) - countPieces(state.board, opponent)) * 5;
-
-  // 機動力スコア（選択肢の多さ）
-  const mobilityScore =
-    (listActions(state, color).length - listActions(state, opponent).length) * 2;
-
-  return lineScore + pieceScore + mobilityScore;
+/**
+ * アクションを数値のキーにします（キラー手・ヒストリーの表引き用）。
+ * @param {Object} action - アクション
+ * @param {number} size - 盤面のサイズ
+ * @returns {number} キー
+ */
+function actionKey(action, size) {
+  const cells = size * size;
+  const to = action.to.row * size + action.to.col;
+  if (action.type === "place") {
+    return to;
+  }
+  return (action.from.row * size + action.from.col + 1) * cells + to;
 }
 
 /**
- * ゲーム状態を文字列にシリアライズします。
- * トランスポジションテーブルのキーとして使用。
- * @param {Object} state - シリアライズするゲーム状態
- * @returns {string} シリアライズされた文字列
+ * そのマスに指定色の駒を置くと勝ちの長さちょうどのラインができる空きマスを求めます。
+ * 手の並べ替えで「即勝ち」「相手の即勝ちの阻止」を見分けるための簡易判定で、
+ * 反転や移動元が空くことの影響は考慮しません。
+ * @param {Array<Array<string|null>>} board - 盤面
+ * @param {'black'|'white'} color - 色
+ * @param {number} winLength - 勝ちになるラインの長さ
+ * @returns {Set<number>} マス番号（row * size + col）の集合
  */
-function serializeState(state) {
-  // 盤面を文字列化
-  const rows = state.board
-    .map((row) =>
-      row
-        .map((cell) => {
-          if (cell === "black") return "b";
-          if (cell === "white") return "w";
-          return "_";
-        })
-        .join("")
-    )
-    .join("/");
-
-  return `${state.turn}|${state.placed.black}|${state.placed.white}|${rows}`;
+function findThreatCells(board, color, winLength) {
+  const size = board.length;
+  const cells = new Set();
+  const scanDirs = [
+    [1, 0],
+    [0, 1],
+    [1, 1],
+    [-1, 1],
+  ];
+
+  for (let row = 0; row < size; row += 1) {
+    for (let col = 0; col < size; col += 1) {
+      if (board[row][col] !== null) {
+        continue;
+      }
+      for (const [dr, dc] of scanDirs) {
+        let length = 1;
+        for (const sign of [1, -1]) {
+          let r = row + dr * sign;
+          let c = col + dc * sign;
+          while (inBounds(r, c, size) && board[r][c] === color) {
+            length += 1;
+            r += dr * sign;
+            c += dc * sign;
+          }
+        }
+        if (length === winLength) {
+          cells.add(row * size + col);
+          break;
+        }
+      }
+    }
+  }
+
+  return cells;
 }
 
+/** 手の並べ替えの優先度 */
+const ORDER_HASH_MOVE = 4000000;
+const ORDER_WIN = 3000000;
+const ORDER_BLOCK = 2000000;
+const ORDER_KILLER = 1000000;
+
 /**
- * ミニマックス法（アルファベータ枝刈り）で最善手を探索します。
+ * ミニマックス法（アルファベータ枝刈り）で局面を探索し、最善手と探索の詳細を返します。
  * 反復深化により、制限時間内で可能な限り深く探索します。
  *
+ * トランスポジションテーブルはZobristハッシュをキーにし、正確な値・下限・上限を区別して記録します。
+ * options.table を渡すと反復深化の各反復に加えて、同じ対局の次の手番でも結果を再利用できます
+ * （スコアは color 視点なので、テーブルは同じCPUの色で使い回してください）。
+ *
+ * 手は次の順に試します（options.ordering が false なら listActions の順のまま）:
+ * 1. 前回の反復（テーブル）の最善手
+ * 2. 即勝ちになる手、相手の即勝ちのマスをふさぐ手
+ * 3. 同じ深さで枝刈りを起こしたキラー手（2手）
+ * 4. ヒストリー（枝刈りを起こした回数を深さで重み付け）の高い手
+ *
  * @param {Object} state - 現在のゲーム状態
  * @param {'black'|'white'} color - CPUプレイヤーの色
  * @param {Object} [options={}] - 探索オプション
  * @param {number} [options.maxDepth=4] - 最大探索深度
  * @param {number} [options.timeLimitMs=400] - 制限時間（ミリ秒）
- * @returns {Object|null} 最善手（見つからない場合はnull）
+ * @param {Object} [options.table] - 使い回すトランスポジションテーブル（createTranspositionTable）
+ * @param {boolean} [options.ordering=true] - 手の並べ替えを行うか
+ * @param {Array<Object>} [options.rootActions] - ルートで試す手の候補（省略時はすべての合法手）
+ * @param {Object} [options.weights] - 評価関数の重み（省略時は重みファイル、なければ手で決めた重み）
+ * @param {number} [options.threatDepth=Infinity] - 勝ち負けが見える手数。ルートからこの手数より先で
+ *   勝ち・負けが決まる手は見えない（その手はないものとして探索する）。指定すると options.table は使わない
+ * @param {boolean} [options.rootScores=false] - ルートのすべての手を全幅の窓で探索し、手ごとの評価値を返すか
+ * @param {function(): boolean} [options.shouldStop] - true を返したら時間切れと同じく打ち切る（ポンダーの中断用）
+ * @returns {Object} { action, score, depth, nodes, pv, rootScores }
+ *   depth は最後まで探索できた深さ、pv はテーブルから辿った読み筋、
+ *   rootScores は options.rootScores のときルートの各手の { action, score }（それ以外は空配列）
  */
-function searchBestMove(state, color, options = {}) {
+function searchPosition(state, color, options = {}) {
   const maxDepth = options.maxDepth || 4;
   const timeLimitMs = options.timeLimitMs || 400;
+  const ordering = options.ordering !== false;
+  const weights = options.weights || loadWeights();
+  const threatDepth = options.threatDepth ?? Infinity;
+  const collectRootScores = Boolean(options.rootScores);
   const deadline = Date.now() + timeLimitMs;
 
   // トランスポジションテーブル（同一局面のキャッシュ）
-  const table = new Map();
+  // threatDepth があると評価値がルートからの手数で変わるため、渡されたテーブルは使わず毎回作り直す
+  const table = options.table && threatDepth === Infinity ? options.table : createTranspositionTable();
+  const rules = getStateRuleset(state);
+  const size = rules.boardSize;
+  const zobrist = getZobrist(rules);
+
+  // キラー手（ルートからの手数ごとに2手）とヒストリー
+  const killers = [];
+  const history = new Map();
+  let nodes = 0;
+
+  // 探索中の反復でのルートの各手の評価値（options.rootScores のとき）
+  let iterationRootScores = [];
+
+  /**
+   * 手を試す順に並べ替えます。
+   * @param {Object} current - 現在の状態
+   * @param {Array<Object>} actions - 合法手
+   * @param {Object|null} hashMove - テーブルの最善手
+   * @param {number} ply - ルートからの手数
+   * @returns {Array<Object>} 並べ替えた合法手
+   */
+  const orderActions = (current, actions, hashMove, ply) => {
+    if (!ordering) {
+      return actions;
+    }
+
+    const mover = current.turn;
+    const myThreats = findThreatCells(current.board, mover, rules.winLength);
+    const oppThreats = findThreatCells(current.board, getOpponent(mover), rules.winLength);
+    const plyKillers = killers[ply] || [];
+
+    const scored = actions.map((action) => {
+      const key = actionKey(action, size);
+      const target = action.to.row * size + action.to.col;
+      let score = history.get(key) || 0;
+      if (hashMove && isSameAction(action, hashMove)) {
+        score += ORDER_HASH_MOVE;
+      } else if (myThreats.has(target)) {
+        score += ORDER_WIN;
+      } else if (oppThreats.has(target)) {
+        score += ORDER_BLOCK;
+      } else if (plyKillers[0] === key || plyKillers[1] === key) {
+        score += plyKillers[0] === key ? ORDER_KILLER + 1 : ORDER_KILLER;
+      }
+      return { action, score };
+    });
+
+    // 同点は listActions の順を保つ（Array.prototype.sort は安定）
+    scored.sort((a, b) => b.score - a.score);
+    return scored.map((entry) => entry.action);
+  };
+
+  /**
+   * 枝刈りを起こした手をキラー手とヒストリーに記録します。
+   * @param {Object} action - 枝刈りを起こした手
+   * @param {number} depth - 残り探索深度
+   * @param {number} ply - ルートからの手数
+   */
+  const recordCutoff = (action, depth, ply) => {
+    if (!ordering) {
+      return;
+    }
+    const key = actionKey(action, size);
+    const plyKillers = killers[ply] || (killers[ply] = []);
+    if (plyKillers[0] !== key) {
+      plyKillers[1] = plyKillers[0];
+      plyKillers[0] = key;
+    }
+    history.set(key, (history.get(key) || 0) + depth * depth);
+  };
 
   /**
    * 再帰的に局面を評価します（ミニマックス法）
    * @param {Object} current - 現在の状態
+   * @param {Object} hash - 現在の状態のZobristハッシュ
    * @param {number} depth - 残り探索深度
    * @param {number} alpha - アルファ値（最大化側の下限）
    * @param {number} beta - ベータ値（最小化側の上限）
+   * @param {number} ply - ルートからの手数（ルートでは最善手が必要なのでテーブルで打ち切らない）
    * @returns {Object} 評価結果
    */
-  const evaluateAtDepth = (current, depth, alpha, beta) => {
-    // 時間切れチェック
-    if (Date.now() > deadline) {
-      return { score: evaluateState(current, color), timedOut: true };
+  const evaluateAtDepth = (current, hash, depth, alpha, beta, ply) => {
+    nodes += 1;
+
+    // 時間切れ・中断チェック
+    if (Date.now() > deadline || (options.shouldStop && options.shouldStop())) {
+      return { score: evaluateState(current, color, weights), timedOut: true };
     }
 
     // 深度0または終了状態なら評価して返す
     if (depth === 0 || current.status === "finished") {
-      return { score: evaluateState(current, color), timedOut: false };
+      return { score: evaluateState(current, color, weights), timedOut: false };
     }
 
     // トランスポジションテーブルをチェック
-    const cacheKey = `${serializeState(current)}|d${depth}`;
-    const cached = table.get(cacheKey);
-    if (cached && cached.depth >= depth) {
-      return { score: cached.score, timedOut: false, bestAction: cached.bestAction };
+    // 下限・上限の値は窓を狭めるのに使い、窓が閉じたら打ち切る
+    const originalAlpha = alpha;
+    const originalBeta = beta;
+    const cached = table.get(hash.key);
+    if (ply > 0 && cached && cached.depth >= depth) {
+      if (cached.bound === BOUND.EXACT) {
+        return { score: cached.score, timedOut: false, bestAction: cached.bestAction };
+      }
+      if (cached.bound === BOUND.LOWER) {
+        alpha = Math.max(alpha, cached.score);
+      } else {
+        beta = Math.min(beta, cached.score);
+      }
+      if (alpha >= beta) {
+        return { score: cached.score, timedOut: false, bestAction: cached.bestAction };
+      }
     }
 
-    // 可能なアクションを列挙
-    const actions = listActions(current, current.turn);
-    if (actions.length === 0) {
-      return { score: evaluateState(current, color), timedOut: false };
+    // 可能なアクションを列挙（ルートでは候補が指定されていれば絞り込む）
+    let listed = listActions(current, current.turn);
+    if (ply === 0 && options.rootActions) {
+      listed = listed.filter((action) => options.rootActions.some((allowed) => isSameAction(action, allowed)));
+    }
+    if (listed.length === 0) {
+      return { score: evaluateState(current, color, weights), timedOut: false };
     }
+    const actions = orderActions(current, listed, cached ? cached.bestAction : null, ply);
 
     // CPUの手番なら最大化、相手の手番なら最小化
     const maximizing = current.turn === color;
@@ -365,18 +437,35 @@ function searchBestMove(state, color, options = {}) {
 
     // 各アクションを試行
     for (const action of actions) {
-      const result = applyAction(current, action);
+      const result = applySearchAction(current, action);
       if (!result.ok) {
         continue;
       }
 
       const next = result.state;
-      const child = evaluateAtDepth(next, depth - 1, alpha, beta);
+      // 勝ち負けが見える手数より先で決着する手は見えない
+      if (next.winner && ply + 1 > threatDepth) {
+        continue;
+      }
+
+      // ルートの手ごとの評価値を集めるときは、どの手も全幅の窓で正確に評価する
+      const exactRoot = collectRootScores && ply === 0;
+      const child = evaluateAtDepth(
+        next,
+        hashChild(zobrist, hash, current, next),
+        depth - 1,
+        exactRoot ? -Infinity : alpha,
+        exactRoot ? Infinity : beta,
+        ply + 1
+      );
 
       // 時間切れなら中断
       if (child.timedOut) {
         return { score: 0, timedOut: true };
       }
+      if (exactRoot) {
+        iterationRootScores.push({ action, score: child.score });
+      }
 
       if (maximizing) {
         // 最大化ノード
@@ -387,6 +476,7 @@ function searchBestMove(state, color, options = {}) {
         alpha = Math.max(alpha, bestScore);
         // ベータカット
         if (alpha >= beta) {
+          recordCutoff(action, depth, ply);
           break;
         }
       } else {
@@ -398,43 +488,312 @@ function searchBestMove(state, color, options = {}) {
         beta = Math.min(beta, bestScore);
         // アルファカット
         if (beta <= alpha) {
+          recordCutoff(action, depth, ply);
           break;
         }
       }
     }
 
-    // 結果をキャッシュ
-    table.set(cacheKey, { score: bestScore, depth, bestAction });
+    // 見える手がなければ静的評価で返す
+    if (!bestAction) {
+      return { score: evaluateState(current, color, weights), timedOut: false };
+    }
+
+    // 結果をキャッシュ（窓の外で打ち切った値は下限・上限として記録）
+    let bound = BOUND.EXACT;
+    if (bestScore <= originalAlpha) {
+      bound = BOUND.UPPER;
+    } else if (bestScore >= originalBeta) {
+      bound = BOUND.LOWER;
+    }
+    table.set(hash.key, { score: bestScore, depth, bound, bestAction });
     return { score: bestScore, timedOut: false, bestAction };
   };
 
   // 反復深化: 深度1から徐々に深く探索
+  const rootHash = hashState(zobrist, state);
   let best = null;
+  let bestScore = null;
+  let completedDepth = 0;
+  let rootScores = [];
   for (let depth = 1; depth <= maxDepth; depth += 1) {
-    const result = evaluateAtDepth(state, depth, -Infinity, Infinity);
+    iterationRootScores = [];
+    const result = evaluateAtDepth(state, rootHash, depth, -Infinity, Infinity, 0);
 
     // 時間切れなら前回の結果を使用
     if (result.timedOut) {
       break;
     }
 
+    completedDepth = depth;
+    rootScores = iterationRootScores;
     if (result.bestAction) {
       best = result.bestAction;
+      bestScore = result.score;
     }
   }
 
-  // 最善手が見つかった場合は返す
-  if (best) {
-    return best;
+  // 最善手が見つからなければ最初の有効なアクションで代用
+  if (!best) {
+    const fallback = options.rootActions || listActions(state, color);
+    return {
+      action: fallback.length > 0 ? fallback[0] : null,
+      score: null,
+      depth: completedDepth,
+      nodes,
+      pv: [],
+      rootScores,
+    };
+  }
+
+  return {
+    action: best,
+    score: bestScore,
+    depth: completedDepth,
+    nodes,
+    pv: collectPrincipalVariation(state, best, table, zobrist, completedDepth),
+    rootScores,
+  };
+}
+
+/**
+ * テーブルの最善手を辿って読み筋（PV）を作ります。
+ * @param {Object} state - ルート局面
+ * @param {Object} first - ルートの最善手
+ * @param {Object} table - トランスポジションテーブル
+ * @param {Object} zobrist - 乱数表
+ * @param {number} maxLength - 読み筋の最大手数
+ * @returns {Array<Object>} 読み筋（アクションの配列）
+ */
+function collectPrincipalVariation(state, first, table, zobrist, maxLength) {
+  const pv = [];
+  let current = state;
+  let hash = hashState(zobrist, state);
+  let action = first;
+
+  while (action && pv.length < Math.max(1, maxLength)) {
+    const result = applySearchAction(current, action);
+    if (!result.ok) {
+      break;
+    }
+    pv.push(action);
+    hash = hashChild(zobrist, hash, current, result.state);
+    current = result.state;
+    if (current.status !== "playing") {
+      break;
+    }
+    const entry = table.get(hash.key);
+    action = entry ? entry.bestAction : null;
+  }
+
+  return pv;
+}
+
+/**
+ * 手選びに使う乱数を作ります。
+ * シードがあれば、シードと手数から作る乱数にして、同じシード・同じ手順なら同じ手を選ぶようにします。
+ * @param {Object} state - 現在のゲーム状態
+ * @param {Object} options - 探索オプション（random / seed）
+ * @returns {function(): number} 0以上1未満を返す乱数
+ */
+function createMoveRandom(state, options) {
+  if (options.random) {
+    return options.random;
+  }
+  if (options.seed === undefined || options.seed === null) {
+    return Math.random;
+  }
+  return createRandom(seedFromString(`${options.seed}:${state.moves.length}`)).float;
+}
+
+/**
+ * ルートの各手の評価値から、ゆらぎを入れて手を選びます。
+ * - blunderRate の確率で、最善手以外の手から一様に選ぶ（わざと悪い手を指す）
+ * - temperature が正なら、exp((評価値 - 最大値) / temperature) に比例する確率で選ぶ（softmax）
+ * @param {Object} result - searchPosition の結果（rootScores を含む）
+ * @param {Object} options - 探索オプション（temperature / blunderRate）
+ * @param {function(): number} random - 乱数
+ * @returns {Object|null} 選んだ手
+ */
+function chooseVariedAction(result, options, random) {
+  const scores = result.rootScores;
+  if (!result.action || scores.length <= 1) {
+    return result.action;
   }
 
-  // フォールバック: 最初の有効なアクションを返す
-  const fallback = listActions(state, color);
-  return fallback.length > 0 ? fallback[0] : null;
+  if (options.blunderRate > 0 && random() < options.blunderRate) {
+    const others = scores.filter((entry) => !isSameAction(entry.action, result.action));
+    return others[Math.floor(random() * others.length)].action;
+  }
+
+  if (options.temperature > 0) {
+    const max = Math.max(...scores.map((entry) => entry.score));
+    const weights = scores.map((entry) => Math.exp((entry.score - max) / options.temperature));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let threshold = random() * total;
+    for (let index = 0; index < scores.length; index += 1) {
+      threshold -= weights[index];
+      if (threshold < 0) {
+        return scores[index].action;
+      }
+    }
+  }
+
+  return result.action;
+}
+
+/**
+ * 最善手を探索します（searchPosition の手だけを返す版）。
+ * - 定跡に載っている局面では、探索せずに定跡手を重み付きランダムで選びます
+ *   （temperature / blunderRate のある弱い難易度では定跡を使わず、序盤からゆらぎを入れます）
+ * - options.endgame が true なら、全駒配置後は終盤ソルバーで制限時間の半分まで証明探索し、
+ *   勝ち・負け・引き分けが証明できればその手を指します。証明できなければ、
+ *   負けが証明された手を除いて通常の探索を行います
+ * - options.temperature / options.blunderRate があれば、ルートの各手の評価値からゆらぎを入れて選びます
+ *   （弱い難易度で、毎回違う・人間らしい手にするため）
+ * @param {Object} state - 現在のゲーム状態
+ * @param {'black'|'white'} color - CPUプレイヤーの色
+ * @param {Object} [options={}] - 探索オプション（searchPosition と同じ）
+ * @param {boolean} [options.book=true] - 定跡を使うか（temperature / blunderRate があれば使わない）
+ * @param {boolean} [options.endgame=false] - 終盤ソルバーを使うか
+ * @param {number} [options.temperature=0] - softmax の温度（評価値の単位、0なら最善手）
+ * @param {number} [options.blunderRate=0] - 最善手以外をわざと選ぶ確率
+ * @param {number|string} [options.seed] - 乱数のシード（同じシード・同じ手順なら同じ手を選ぶ）
+ * @param {function(): number} [options.random] - 乱数（seed より優先）
+ * @returns {Object|null} 最善手（見つからない場合はnull）
+ */
+function searchBestMove(state, color, options = {}) {
+  const random = createMoveRandom(state, options);
+
+  const varied = options.temperature > 0 || options.blunderRate > 0;
+
+  if (options.book !== false && !varied && state.turn === color) {
+    const bookMove = pickBookMove(state, { random });
+    if (bookMove) {
+      return bookMove;
+    }
+  }
+
+  if (options.endgame && state.turn === color && isEndgame(state)) {
+    const timeLimitMs = options.timeLimitMs || 400;
+    const started = Date.now();
+    const solved = solveEndgame(state, { timeLimitMs: Math.floor(timeLimitMs / 2) });
+    if (solved.result !== RESULT.UNKNOWN && solved.action) {
+      return solved.action;
+    }
+
+    const rootActions = solved.moves
+      .filter((move) => move.result !== RESULT.LOSS)
+      .map((move) => move.action);
+    return searchPosition(state, color, {
+      ...options,
+      timeLimitMs: Math.max(1, timeLimitMs - (Date.now() - started)),
+      rootActions: rootActions.length > 0 ? rootActions : undefined,
+    }).action;
+  }
+
+  if (varied) {
+    const result = searchPosition(state, color, { ...options, rootScores: true });
+    return chooseVariedAction(result, options, random);
+  }
+
+  return searchPosition(state, color, options).action;
+}
+
+/**
+ * 相手の手番の間に、相手の応手の後の局面を先読みします（ポンダー）。
+ * 相手の手番の局面から CPU の色で maxDepth より1手深く探索し、応手ごとの局面の結果をテーブルに残します。
+ * 相手が指した後に同じテーブルで searchBestMove を呼ぶと、浅い反復がテーブルで済むため早く答えられます。
+ * @param {Object} state - 相手の手番のゲーム状態
+ * @param {'black'|'white'} color - CPUプレイヤーの色
+ * @param {Object} [options={}] - 探索オプション（searchPosition と同じ。table を渡さないと結果は残らない）
+ * @param {number} [options.maxDepth=4] - CPUが自分の手番で読む深さ
+ * @returns {{expected: Object|null, depth: number, nodes: number}}
+ *   expected は相手の最善の応手（CPUから見て）、depth は相手の手番から読み終えた深さ
+ */
+function ponderPosition(state, color, options = {}) {
+  const result = searchPosition(state, color, { ...options, maxDepth: (options.maxDepth || 4) + 1 });
+  return { expected: result.action, depth: result.depth, nodes: result.nodes };
+}
+
+/**
+ * 局面を解析し、手番側の候補手を評価値の高い順に返します（ヒント・評価バー用）。
+ * 深さごとに、最善手を探索した後その手を除いて再び探索する（マルチPV）ことを count 回繰り返し、
+ * 制限時間内にすべての候補を読み終えた最も深い結果を返します（候補ごとに深さが揃うようにするため）。
+ * 評価値はいずれも手番側から見た値です。
+ * @param {Object} state - 解析するゲーム状態
+ * @param {Object} [options={}] - 解析オプション
+ * @param {number} [options.count=3] - 候補手の数
+ * @param {number} [options.maxDepth=4] - 最大探索深度
+ * @param {number} [options.timeLimitMs=400] - 制限時間（ミリ秒、全候補の合計）
+ * @param {Object} [options.table] - 使い回すトランスポジションテーブル
+ * @param {Object} [options.weights] - 評価関数の重み
+ * @returns {Object} { turn, depth, candidates, nodes }
+ *   candidates は { action, score, pv } の配列（進行中でなければ空）
+ */
+function analyzePosition(state, options = {}) {
+  if (state.status !== "playing") {
+    return { turn: null, depth: 0, candidates: [], nodes: 0 };
+  }
+
+  const color = state.turn;
+  const count = Math.max(1, options.count || 3);
+  const maxDepth = options.maxDepth || 4;
+  const deadline = Date.now() + (options.timeLimitMs || 400);
+  const table = options.table || createTranspositionTable();
+  const actions = listActions(state, color);
+  let completed = { depth: 0, candidates: [] };
+  let nodes = 0;
+
+  for (let depth = 1; depth <= maxDepth; depth += 1) {
+    const candidates = [];
+    let remaining = actions;
+    let finished = true;
+
+    while (candidates.length < Math.min(count, actions.length)) {
+      const left = deadline - Date.now();
+      if (left <= 0) {
+        finished = false;
+        break;
+      }
+      const result = searchPosition(state, color, {
+        ...options,
+        maxDepth: depth,
+        timeLimitMs: left,
+        table,
+        rootActions: remaining,
+      });
+      nodes += result.nodes;
+      // この深さを読み切れなければ、1つ浅い深さの結果を使う
+      if (!result.action || result.depth < depth) {
+        finished = false;
+        break;
+      }
+      candidates.push({ action: result.action, score: result.score, pv: result.pv });
+      remaining = remaining.filter((action) => !isSameAction(action, result.action));
+    }
+
+    if (!finished) {
+      break;
+    }
+    completed = { depth, candidates };
+  }
+
+  return {
+    turn: color,
+    depth: completed.depth,
+    candidates: [...completed.candidates].sort((a, b) => b.score - a.score),
+    nodes,
+  };
 }
 
 module.exports = {
   listActions,
+  extractFeatures,
   evaluateState,
+  findThreatCells,
+  searchPosition,
   searchBestMove,
+  ponderPosition,
+  analyzePosition,
 };
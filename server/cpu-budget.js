@@ -0,0 +1,78 @@
+/**
+ * @fileoverview CPU時間の予算（トークンバケット）
+ *
+ * ポンダーなど、なくても対局が進む探索に使うCPU時間を、全ルームの合計で制限します。
+ * - 予算は ratio（コア何個分か）の速さで貯まり、burstMs まで貯められます
+ * - reserve() で使う前に時間を確保し、早く終わった分は refund() で返します
+ *
+ * @module cpu-budget
+ */
+
+/**
+ * CPU時間の予算を作成します。
+ * @param {Object} [options={}] - 予算の設定
+ * @param {number} [options.ratio=0.5] - 1秒あたりに貯まる時間（秒）。0なら予算なし
+ * @param {number} [options.burstMs=8000] - 貯められる時間の上限（ミリ秒）
+ * @param {function(): number} [options.now=Date.now] - 現在時刻（ミリ秒）
+ * @returns {Object} { reserve, refund, available }
+ */
+function createCpuBudget(options = {}) {
+  const ratio = Math.max(0, options.ratio ?? 0.5);
+  const burstMs = Math.max(0, options.burstMs ?? 8000);
+  const now = options.now || Date.now;
+
+  let balance = ratio > 0 ? burstMs : 0;
+  let updatedAt = now();
+
+  /**
+   * 経過時間の分だけ予算を貯めます。
+   */
+  const refill = () => {
+    const current = now();
+    balance = Math.min(burstMs, balance + (current - updatedAt) * ratio);
+    updatedAt = current;
+  };
+
+  /**
+   * 予算から時間を確保します。
+   * @param {number} maxMs - 確保したい時間（ミリ秒）
+   * @param {number} [minMs=0] - これより少なければ確保しない（ミリ秒）
+   * @returns {number} 確保できた時間（ミリ秒、確保しなければ0）
+   */
+  const reserve = (maxMs, minMs = 0) => {
+    refill();
+    const granted = Math.floor(Math.min(maxMs, balance));
+    if (granted <= 0 || granted < minMs) {
+      return 0;
+    }
+    balance -= granted;
+    return granted;
+  };
+
+  /**
+   * 使わなかった時間を予算に返します。
+   * @param {number} ms - 返す時間（ミリ秒）
+   */
+  const refund = (ms) => {
+    if (ms <= 0) {
+      return;
+    }
+    refill();
+    balance = Math.min(burstMs, balance + ms);
+  };
+
+  /**
+   * 今使える時間を返します。
+   * @returns {number} ミリ秒
+   */
+  const available = () => {
+    refill();
+    return Math.floor(balance);
+  };
+
+  return { reserve, refund, available };
+}
+
+module.exports = {
+  createCpuBudget,
+};
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview CPUの難易度設定
+ *
+ * サーバーとベンチマークなどのスクリプトで共有します。
+ * 数値の強さ（レーティング）から探索設定を作る strengthToConfig もここで定義します。
+ * ヒント（候補手の解析）と対局後の解析、ポンダーの探索設定もここで定義します。
+ *
+ * @module cpu-levels
+ */
+
+/**
+ * CPUの難易度設定
+ * - easy: 浅い探索、高速
+ * - normal: 中程度
+ * - hard: 深い探索
+ * - strong: 最も強い設定（全駒配置後は終盤ソルバーで勝ち負けを読み切る）
+ * - mcts: モンテカルロ木探索（アルファベータとは違う指し方をする）
+ *
+ * engine は engines.js のエンジン名です。
+ * easy と normal は人が勝てるよう、毎局違う手を指すようにゆらぎを入れます（ai.js の searchBestMove）。
+ * - threatDepth: 勝ち負けが見える手数（それより先の4目は見落とす）
+ * - temperature: ルートの手を評価値の softmax で選ぶときの温度
+ * - blunderRate: 最善手以外をわざと指す確率
+ * @type {Object<string, {engine: string, maxDepth?: number, timeLimitMs: number, endgame?: boolean,
+ *   threatDepth?: number, temperature?: number, blunderRate?: number}>}
+ */
+const CPU_LEVELS = {
+  easy: {
+    engine: "alphabeta",
+    maxDepth: 2,
+    timeLimitMs: 120,
+    threatDepth: 1,
+    temperature: 120,
+    blunderRate: 0.15,
+  },
+  normal: {
+    engine: "alphabeta",
+    maxDepth: 3,
+    timeLimitMs: 240,
+    threatDepth: 2,
+    temperature: 60,
+    blunderRate: 0.05,
+  },
+  hard: { engine: "alphabeta", maxDepth: 4, timeLimitMs: 420 },
+  strong: { engine: "alphabeta", maxDepth: 5, timeLimitMs: 700, endgame: true },
+  mcts: { engine: "mcts", timeLimitMs: 700, playout: "heuristic" },
+};
+
+/** 数値の強さの範囲と刻み */
+const STRENGTH_RANGE = Object.freeze({ min: 400, max: 2000, step: 50 });
+
+/**
+ * 数値の強さの基準点（rating の昇順）
+ * rating は scripts/calibrate-strength.js（--openings=10、組み合わせごとに20局）で基準点同士を総当たりさせ、
+ * 最も強い基準点（strong）を STRENGTH_RANGE.max に合わせて推定した値を10単位に丸めたものです。
+ * 基準点の間の強さは strengthToConfig で補間し、最も弱い基準点より下は最も弱い基準点の設定を使います。
+ * 最も弱い基準点は最善手以外から一様に選ぶ（ほぼランダムな）設定です。
+ */
+const STRENGTH_ANCHORS = Object.freeze([
+  { rating: 510, config: { engine: "alphabeta", maxDepth: 1, timeLimitMs: 30, threatDepth: 1, blunderRate: 1 } },
+  {
+    rating: 760,
+    config: { engine: "alphabeta", maxDepth: 1, timeLimitMs: 40, threatDepth: 1, temperature: 1000, blunderRate: 0.85 },
+  },
+  {
+    rating: 970,
+    config: { engine: "alphabeta", maxDepth: 1, timeLimitMs: 60, threatDepth: 1, temperature: 500, blunderRate: 0.6 },
+  },
+  { rating: 1160, config: CPU_LEVELS.easy },
+  { rating: 1390, config: CPU_LEVELS.normal },
+  {
+    rating: 1760,
+    config: { engine: "alphabeta", maxDepth: 3, timeLimitMs: 300, threatDepth: 3, temperature: 20, blunderRate: 0.02 },
+  },
+  { rating: 1920, config: CPU_LEVELS.hard },
+  { rating: 2000, config: CPU_LEVELS.strong },
+]);
+
+/**
+ * 強さを範囲に収め、刻みに丸めます。
+ * @param {number} strength - 強さ
+ * @returns {number} 丸めた強さ
+ */
+function clampStrength(strength) {
+  const { min, max, step } = STRENGTH_RANGE;
+  const rounded = Math.round(strength / step) * step;
+  return Math.max(min, Math.min(max, rounded));
+}
+
+/**
+ * 数値の強さから探索設定を作ります。
+ * 前後の基準点の間で、制限時間・温度・わざと外す確率は線形に補間し、
+ * 探索深度・見える勝ち負け・終盤ソルバーは近い方の基準点の値を使います。
+ * @param {number} strength - 強さ（STRENGTH_RANGE に丸める）
+ * @returns {Object} CPU設定（CPU_LEVELS の値と同じ形）
+ */
+function strengthToConfig(strength) {
+  const target = clampStrength(strength);
+  const upper = Math.max(1, STRENGTH_ANCHORS.findIndex((anchor) => anchor.rating >= target));
+  const low = STRENGTH_ANCHORS[upper - 1];
+  const high = STRENGTH_ANCHORS[upper];
+  const ratio = Math.max(0, Math.min(1, (target - low.rating) / (high.rating - low.rating)));
+  const near = ratio < 0.5 ? low.config : high.config;
+  const lerp = (a, b) => a + (b - a) * ratio;
+
+  const config = {
+    engine: "alphabeta",
+    maxDepth: near.maxDepth,
+    timeLimitMs: Math.round(lerp(low.config.timeLimitMs, high.config.timeLimitMs)),
+    endgame: Boolean(near.endgame),
+  };
+  if (near.threatDepth !== undefined) {
+    config.threatDepth = near.threatDepth;
+  }
+  // ゆらぎは強い側の基準点になければ0として補間する
+  const temperature = lerp(low.config.temperature || 0, high.config.temperature || 0);
+  const blunderRate = lerp(low.config.blunderRate || 0, high.config.blunderRate || 0);
+  if (temperature > 0) {
+    config.temperature = Math.round(temperature);
+  }
+  if (blunderRate > 0) {
+    config.blunderRate = Number(blunderRate.toFixed(3));
+  }
+  return config;
+}
+
+/**
+ * ヒント（候補手の解析）の探索設定
+ * timeLimitMs は候補手すべての合計です。
+ */
+const HINT_SEARCH = { maxDepth: 5, timeLimitMs: 600 };
+
+/** ヒントで返す候補手の数の上限 */
+const MAX_HINT_CANDIDATES = 5;
+
+/**
+ * 対局後の解析の探索設定（1手あたり）
+ */
+const REPORT_SEARCH = { maxDepth: 4, timeLimitMs: 150 };
+
+/**
+ * ポンダー（人の手番の間のCPUの先読み）の設定
+ * - maxMs: 1回の手番で先読みする時間の上限（人が長考しても、これ以上は使わない）
+ * - minMs: 予算の残りがこれより少なければ先読みしない
+ * 全ルーム合計の予算は index.js の CPU_PONDER_BUDGET で決めます。
+ * 先読みは探索深度（maxDepth）のあるアルファベータのCPUで、見える勝ち負けの制限（threatDepth）がないときだけ行います。
+ */
+const PONDER_SEARCH = { maxMs: 4000, minMs: 200 };
+
+module.exports = {
+  CPU_LEVELS,
+  STRENGTH_RANGE,
+  STRENGTH_ANCHORS,
+  clampStrength,
+  strengthToConfig,
+  HINT_SEARCH,
+  MAX_HINT_CANDIDATES,
+  REPORT_SEARCH,
+  PONDER_SEARCH,
+};
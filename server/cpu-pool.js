@@ -0,0 +1,380 @@
+/**
+ * @fileoverview CPU探索用ワーカープール
+ *
+ * searchBestMove（と、ヒント用の analyzePosition、対局後の scoreGameMoves、ポンダーの ponderPosition）を
+ * ワーカースレッドで実行し、メインのイベントループを塞がないようにします。
+ * - ワーカー数は固定で、空きがなければ上限付きの待ち行列に積みます
+ * - 1つのキー（ルームID）につき依頼は1件までで、新しい依頼は古い依頼を取り消します
+ * - cancel() で待機中の依頼は取り除き、実行中の依頼はワーカーごと停止して作り直します
+ * - 同じキー（tableKey があればそれ）の依頼はなるべく前回と同じワーカーに割り当て、
+ *   ワーカー内のトランスポジションテーブルを再利用します
+ * - ポンダーとレポートはワーカーを停止せず、共有メモリの中断フラグで打ち切ります（ワーカー内のテーブルを残すため）。
+ *   どちらも急ぎでない依頼として、CPUの手番やヒントが待っていれば後回しにし、
+ *   空きワーカーがなければ実行中のものを打ち切って譲ります
+ *
+ * 結果は例外ではなく { ok, action } / { ok, analysis } / { ok, moves } / { ok, ponder } / { ok: false, error } で返します。
+ *
+ * @module cpu-pool
+ */
+
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+/** ワーカースクリプトのパス */
+const WORKER_PATH = path.join(__dirname, "cpu-worker.js");
+
+/** 依頼の種類ごとに、ワーカーの結果を入れるフィールド名 */
+const RESULT_FIELDS = {
+  search: "action",
+  analyze: "analysis",
+  report: "moves",
+  ponder: "ponder",
+};
+
+/** 中断フラグで打ち切る（ワーカーを停止しない）、急ぎでない依頼の種類 */
+const INTERRUPTIBLE_TASKS = new Set(["ponder", "report"]);
+
+/**
+ * 依頼をなるべく同じワーカーに割り当てるためのキーを返します。
+ * @param {Object} job - 依頼
+ * @returns {*} tableKey（なければ依頼のキー）
+ */
+function affinityKey(job) {
+  return (job.options && job.options.tableKey) || job.key;
+}
+
+/**
+ * CPU探索用のワーカープールを作成します。
+ * @param {Object} [options={}] - プール設定
+ * @param {number} [options.size=1] - ワーカー数
+ * @param {number} [options.maxQueue=32] - 待ち行列の上限
+ * @returns {Object} { search, analyze, report, ponder, cancel, stats, close }
+ */
+function createCpuPool(options = {}) {
+  const size = Math.max(1, Math.floor(options.size || 1));
+  const maxQueue = Math.max(0, Math.floor(options.maxQueue ?? 32));
+
+  /** @type {Array<{worker: Worker|null, job: Object|null, signal: Int32Array}>} */
+  const slots = [];
+
+  /** 実行待ちの依頼 */
+  const queue = [];
+
+  /** affinityKey ごとに前回割り当てたスロット */
+  const affinity = new Map();
+
+  let nextJobId = 1;
+  let closed = false;
+
+  /**
+   * 依頼を完了させ、呼び出し元に結果を返します。
+   * @param {Object} job - 依頼
+   * @param {Object} result - 結果
+   */
+  const settle = (job, result) => {
+    if (job.settled) {
+      return;
+    }
+    job.settled = true;
+    job.resolve(result);
+  };
+
+  /**
+   * スロットに新しいワーカーを起動します。
+   * 停止済みのワーカーから遅れて届いたイベントは無視します。
+   * @param {Object} slot - スロット
+   */
+  const spawn = (slot) => {
+    const worker = new Worker(WORKER_PATH, { workerData: { signal: slot.signal } });
+    // サーバー以外（スクリプトなど）から使ってもプロセス終了を妨げない
+    worker.unref();
+    slot.worker = worker;
+
+    worker.on("message", (message) => {
+      if (slot.worker !== worker || !slot.job || slot.job.id !== message.id) {
+        return;
+      }
+      const job = slot.job;
+      slot.job = null;
+      settle(
+        job,
+        message.ok ? { ok: true, [RESULT_FIELDS[job.task]]: message.result } : { ok: false, error: "worker_error" }
+      );
+      if (!message.ok) {
+        console.error("CPU worker error:", message.error);
+      }
+      dispatch();
+    });
+
+    const handleFailure = (error) => {
+      if (slot.worker !== worker) {
+        return;
+      }
+      if (error) {
+        console.error("CPU worker crashed:", error);
+      }
+      const job = slot.job;
+      slot.job = null;
+      slot.worker = null;
+      if (job) {
+        settle(job, { ok: false, error: "worker_error" });
+      }
+      if (!closed) {
+        spawn(slot);
+        dispatch();
+      }
+    };
+
+    worker.on("error", handleFailure);
+    worker.on("exit", () => handleFailure(null));
+  };
+
+  /**
+   * 実行中の中断できる依頼を打ち切ります。
+   * 呼び出し元にはすぐ "cancelled" を返し、スロットはワーカーが結果を返すまで使用中のままにします。
+   * @param {Object} slot - スロット
+   */
+  const interrupt = (slot) => {
+    settle(slot.job, { ok: false, error: "cancelled" });
+    Atomics.store(slot.signal, 0, 1);
+  };
+
+  /**
+   * 空いているスロットが引き受ける依頼を待ち行列から選びます。
+   * 中断できない依頼（CPUの手番・ヒント）を、中断できる依頼（ポンダー・レポート）より先に選びます。
+   * その中では前回このスロットで探索したキーを優先し、他の空きスロットを好む依頼は譲ります。
+   * 好むスロットで打ち切り中の依頼が終わるのを待つ依頼も譲ります（すぐ空き、テーブルを使えるため）。
+   * @param {Object} slot - 空いているスロット
+   * @returns {number} 待ち行列内の位置（なければ-1）
+   */
+  const pickJobIndex = (slot) => {
+    for (const interruptible of [false, true]) {
+      const matches = (job) => INTERRUPTIBLE_TASKS.has(job.task) === interruptible;
+      const own = queue.findIndex((job) => matches(job) && affinity.get(affinityKey(job)) === slot);
+      if (own >= 0) {
+        return own;
+      }
+      const other = queue.findIndex((job) => {
+        const preferred = affinity.get(affinityKey(job));
+        return matches(job) && (!preferred || !preferred.worker || (preferred.job && !preferred.job.settled));
+      });
+      if (other >= 0) {
+        return other;
+      }
+    }
+    return -1;
+  };
+
+  /**
+   * 中断できない依頼が待っていれば、その数まで実行中のポンダー・レポートを打ち切ります。
+   */
+  const preempt = () => {
+    let waiting = queue.filter((job) => !INTERRUPTIBLE_TASKS.has(job.task)).length;
+    for (const slot of slots) {
+      if (waiting === 0) {
+        return;
+      }
+      if (slot.job && !slot.job.settled && INTERRUPTIBLE_TASKS.has(slot.job.task)) {
+        interrupt(slot);
+        waiting -= 1;
+      }
+    }
+  };
+
+  /**
+   * 空いているワーカーに待ち行列の依頼を割り当てます。
+   */
+  const dispatch = () => {
+    for (const slot of slots) {
+      if (queue.length === 0) {
+        return;
+      }
+      if (!slot.worker || slot.job) {
+        continue;
+      }
+      const index = pickJobIndex(slot);
+      if (index < 0) {
+        continue;
+      }
+      const [job] = queue.splice(index, 1);
+      slot.job = job;
+      affinity.set(affinityKey(job), slot);
+      Atomics.store(slot.signal, 0, 0);
+      slot.worker.postMessage({
+        id: job.id,
+        task: job.task,
+        state: job.state,
+        color: job.color,
+        options: job.options,
+      });
+    }
+    preempt();
+  };
+
+  /**
+   * 指定キーの依頼を取り消します。
+   * @param {*} key - 依頼のキー（ルームID）
+   * @returns {boolean} 取り消した依頼があればtrue
+   */
+  const cancel = (key) => {
+    let cancelled = false;
+
+    // 待機中の依頼を取り除く
+    for (let i = queue.length - 1; i >= 0; i -= 1) {
+      if (queue[i].key === key) {
+        settle(queue[i], { ok: false, error: "cancelled" });
+        queue.splice(i, 1);
+        cancelled = true;
+      }
+    }
+
+    // 実行中の依頼はワーカーを停止して作り直す（ポンダー・レポートは中断フラグで打ち切る）
+    for (const slot of slots) {
+      if (slot.job && slot.job.key === key && INTERRUPTIBLE_TASKS.has(slot.job.task)) {
+        if (!slot.job.settled) {
+          interrupt(slot);
+          cancelled = true;
+        }
+      } else if (slot.job && slot.job.key === key) {
+        const { worker, job } = slot;
+        slot.job = null;
+        slot.worker = null;
+        settle(job, { ok: false, error: "cancelled" });
+        worker.terminate();
+        if (!closed) {
+          spawn(slot);
+        }
+        cancelled = true;
+      }
+    }
+
+    if (cancelled) {
+      dispatch();
+    }
+    return cancelled;
+  };
+
+  /**
+   * 依頼を待ち行列に積みます。
+   * 同じキーの依頼が残っていれば取り消してから積みます。
+   * @param {Object} request - { key, task, state, color, options }
+   * @returns {Promise<Object>} ワーカーの結果、または { ok: false, error }
+   */
+  const enqueue = (request) => {
+    if (closed) {
+      return Promise.resolve({ ok: false, error: "closed" });
+    }
+
+    cancel(request.key);
+
+    if (queue.length >= maxQueue && slots.every((slot) => slot.job)) {
+      return Promise.resolve({ ok: false, error: "queue_full" });
+    }
+
+    return new Promise((resolve) => {
+      queue.push({
+        ...request,
+        id: nextJobId,
+        resolve,
+        settled: false,
+      });
+      nextJobId += 1;
+      dispatch();
+    });
+  };
+
+  /**
+   * 最善手の探索を依頼します。
+   * 同じキーの依頼が残っていれば取り消してから積みます。
+   * @param {*} key - 依頼のキー（ルームID）
+   * @param {Object} state - ゲーム状態
+   * @param {'black'|'white'} color - CPUの色
+   * @param {Object} [searchOptions={}] - searchBestMove に渡すオプション
+   * @returns {Promise<Object>} { ok: true, action } または { ok: false, error }
+   *   （error: "cancelled" | "queue_full" | "worker_error" | "closed"）
+   */
+  const search = (key, state, color, searchOptions = {}) =>
+    enqueue({ key, task: "search", state, color, options: searchOptions });
+
+  /**
+   * 局面の解析（候補手の一覧）を依頼します。
+   * 同じキーの依頼が残っていれば取り消してから積みます。
+   * @param {*} key - 依頼のキー（CPUの手番と重ならないよう、ルームIDとは別のキーにする）
+   * @param {Object} state - ゲーム状態
+   * @param {Object} [analyzeOptions={}] - analyzePosition に渡すオプション
+   * @returns {Promise<Object>} { ok: true, analysis } または { ok: false, error }
+   */
+  const analyze = (key, state, analyzeOptions = {}) =>
+    enqueue({ key, task: "analyze", state, color: null, options: analyzeOptions });
+
+  /**
+   * 対局後の解析レポートのうち、options.fromPly〜toPly の手の採点を依頼します。
+   * 同じキーの依頼が残っていれば取り消してから積みます。
+   * 急ぎでない依頼として、CPUの手番やヒントが待っていれば後回しにし、実行中でも打ち切って譲ります
+   * （打ち切られると "cancelled" を返すので、呼び出し元は同じ範囲を依頼し直します）。
+   * @param {*} key - 依頼のキー（ルームIDとは別のキーにする）
+   * @param {Object} game - 棋譜を含むゲーム状態
+   * @param {Object} [reportOptions={}] - scoreGameMoves に渡すオプション
+   * @returns {Promise<Object>} { ok: true, moves } または { ok: false, error }
+   */
+  const report = (key, game, reportOptions = {}) =>
+    enqueue({ key, task: "report", state: game, color: null, options: reportOptions });
+
+  /**
+   * 相手の手番の間の先読み（ポンダー）を依頼します。
+   * 同じキーの依頼が残っていれば取り消してから積みます。cancel() では中断フラグで打ち切ります。
+   * 結果はワーカー内のテーブルに残るため、options.tableKey は次の search と同じにします。
+   * @param {*} key - 依頼のキー（ルームIDとは別のキーにする）
+   * @param {Object} state - 相手の手番のゲーム状態
+   * @param {'black'|'white'} color - CPUの色
+   * @param {Object} [ponderOptions={}] - ponderPosition に渡すオプション
+   * @returns {Promise<Object>} { ok: true, ponder } または { ok: false, error }
+   */
+  const ponder = (key, state, color, ponderOptions = {}) =>
+    enqueue({ key, task: "ponder", state, color, options: ponderOptions });
+
+  /**
+   * プールの状態を返します。
+   * @returns {{size: number, busy: number, queued: number, pondering: number}}
+   *   ワーカー数・実行中・待機中・実行中のうちポンダーの件数
+   */
+  const stats = () => ({
+    size,
+    busy: slots.filter((slot) => slot.job).length,
+    queued: queue.length,
+    pondering: slots.filter((slot) => slot.job && slot.job.task === "ponder").length,
+  });
+
+  /**
+   * すべての依頼を取り消し、ワーカーを停止します。
+   */
+  const close = () => {
+    closed = true;
+    for (const job of queue.splice(0)) {
+      settle(job, { ok: false, error: "closed" });
+    }
+    for (const slot of slots) {
+      if (slot.job) {
+        settle(slot.job, { ok: false, error: "closed" });
+        slot.job = null;
+      }
+      if (slot.worker) {
+        const { worker } = slot;
+        slot.worker = null;
+        worker.terminate();
+      }
+    }
+  };
+
+  for (let i = 0; i < size; i += 1) {
+    const slot = { worker: null, job: null, signal: new Int32Array(new SharedArrayBuffer(4)) };
+    slots.push(slot);
+    spawn(slot);
+  }
+
+  return { search, analyze, report, ponder, cancel, stats, close };
+}
+
+module.exports = {
+  createCpuPool,
+};
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview CPU探索用ワーカースレッド
+ *
+ * メインスレッド（cpu-pool.js）から局面を受け取り、options.engine のエンジンで探索した最善手を返します。
+ * task が "analyze" の依頼では、analyzePosition で候補手の一覧を返します（ヒント用）。
+ * task が "report" の依頼では、scoreGameMoves で対局後の解析レポートの一部（指定した範囲の手の採点）を返します。
+ * task が "ponder" の依頼では、ponderPosition で相手の手番の間に先読みし、結果をテーブルに残します。
+ * ポンダーとレポートは、プールが共有メモリの中断フラグ（workerData.signal）を立てると打ち切ります。
+ * 探索をイベントループの外で実行し、思考中も他のルームのチャットや手番を止めないようにします。
+ *
+ * options.tableKey（ルーム・対局・CPUの色）ごとにトランスポジションテーブルを保持し、
+ * 同じ対局の次の手番でも探索結果を再利用します。
+ *
+ * @module cpu-worker
+ */
+
+const { parentPort, workerData } = require("worker_threads");
+const { analyzePosition, ponderPosition } = require("./ai");
+const { getEngine } = require("./engines");
+const { scoreGameMoves } = require("./game-report");
+const { createTranspositionTable } = require("./transposition");
+
+/** ワーカーが保持するテーブル数の上限（超えたら最も使われていないものを捨てる） */
+const TABLE_LIMIT = 16;
+
+/** tableKey ごとのトランスポジションテーブル */
+const tables = new Map();
+
+/** プールと共有する中断フラグ（0以外なら打ち切る） */
+const signal = workerData && workerData.signal;
+
+/**
+ * 中断フラグが立っているかを返します。
+ * @returns {boolean} 打ち切るならtrue
+ */
+const shouldStop = () => Boolean(signal) && Atomics.load(signal, 0) !== 0;
+
+/**
+ * tableKey に対応するテーブルを取得（なければ作成）します。
+ * @param {string} [key] - テーブルのキー
+ * @returns {Object|undefined} テーブル（キーがなければundefined）
+ */
+function getTable(key) {
+  if (!key) {
+    return undefined;
+  }
+  let table = tables.get(key);
+  if (table) {
+    tables.delete(key);
+  } else {
+    table = createTranspositionTable();
+    if (tables.size >= TABLE_LIMIT) {
+      tables.delete(tables.keys().next().value);
+    }
+  }
+  tables.set(key, table);
+  return table;
+}
+
+parentPort.on("message", (message) => {
+  const { id, task, state, color, options } = message;
+  try {
+    const table = getTable(options && options.tableKey);
+    let result;
+    if (task === "analyze") {
+      result = analyzePosition(state, { ...options, table });
+    } else if (task === "report") {
+      result = scoreGameMoves(state, { ...options, shouldStop });
+    } else if (task === "ponder") {
+      result = ponderPosition(state, color, { ...options, table, shouldStop });
+    } else {
+      const searchBestMove = getEngine(options && options.engine);
+      result = searchBestMove(state, color, { ...options, table });
+    }
+    parentPort.postMessage({ id, ok: true, result });
+  } catch (error) {
+    parentPort.postMessage({ id, ok: false, error: error && error.message ? error.message : String(error) });
+  }
+});
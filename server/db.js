@@ -75,6 +75,8 @@ async function initDb(roomCount) {
       id: i,
       name: `ルーム ${i}`,
       status: "waiting",
+      // ヒント（候補手の解析）を使えるか（真剣勝負では着席者が無効にできる）
+      hintsEnabled: true,
     });
     seats.set(i, { black: null, white: null });
   }
@@ -226,6 +228,18 @@ function setRoomStatus(roomId, status) {
   }
 }
 
+/**
+ * ルームのヒント（候補手の解析）の可否を設定します。
+ * @param {number} roomId - ルームID
+ * @param {boolean} enabled - ヒントを使えるか
+ */
+function setRoomHints(roomId, enabled) {
+  const room = rooms.get(roomId);
+  if (room) {
+    room.hintsEnabled = Boolean(enabled);
+  }
+}
+
 /**
  * 座席状況に基づいてルームのステータスを自動更新します。
  * @param {number} roomId - ルームID
@@ -253,9 +267,11 @@ function updateRoomStatus(roomId) {
  * @param {string} color - 座席の色
  * @param {number} userId - ユーザーID
  * @param {Object} userInfo - ユーザー情報（loginId, nickname）
+ * @param {Object} [options={}] - オプション
+ * @param {boolean} [options.allowBothSeats=false] - 同じユーザーが両方の席に座るのを許すか（CPU同士の対局用）
  * @returns {Object} 結果オブジェクト
  */
-function assignSeat(roomId, color, userId, userInfo) {
+function assignSeat(roomId, color, userId, userInfo, options = {}) {
   const roomSeats = seats.get(roomId);
   if (!roomSeats) {
     return { ok: false, reason: "invalid_seat" };
@@ -268,7 +284,7 @@ function assignSeat(roomId, color, userId, userInfo) {
 
   // 同じユーザーが反対側の席に座っている場合は拒否
   const otherColor = color === "black" ? "white" : "black";
-  if (roomSeats[otherColor] && roomSeats[otherColor].userId === userId) {
+  if (!options.allowBothSeats && roomSeats[otherColor] && roomSeats[otherColor].userId === userId) {
     return { ok: false, reason: "already_seated" };
   }
 
@@ -431,6 +447,7 @@ module.exports = {
   getRoom,
   getRoomStatus,
   setRoomStatus,
+  setRoomHints,
   updateRoomStatus,
   assignSeat,
   releaseSeat,
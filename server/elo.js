@@ -0,0 +1,138 @@
+/**
+ * @fileoverview 対局結果からのElo推定
+ *
+ * 勝ち・引き分け・負けの数から、スコア（勝ち1・引き分け0.5）とElo差、
+ * その95%信頼区間を求めます。複数の設定の総当たりでは Bradley-Terry モデルで全体のレーティングを推定します。
+ *
+ * @module elo
+ */
+
+/** 95%信頼区間の係数 */
+const Z_95 = 1.96;
+
+/** スコアが0または1のときに丸める幅（Elo差が無限大になるのを避ける） */
+const SCORE_EPSILON = 1e-3;
+
+/**
+ * スコア（0〜1）をElo差に変換します。
+ * @param {number} score - 期待スコア
+ * @returns {number} Elo差
+ */
+function scoreToElo(score) {
+  const clamped = Math.min(1 - SCORE_EPSILON, Math.max(SCORE_EPSILON, score));
+  return -400 * Math.log10(1 / clamped - 1);
+}
+
+/**
+ * Elo差を期待スコアに変換します。
+ * @param {number} elo - Elo差
+ * @returns {number} 期待スコア
+ */
+function eloToScore(elo) {
+  return 1 / (1 + 10 ** (-elo / 400));
+}
+
+/**
+ * 勝ち・引き分け・負けの数から、スコアとElo差の95%信頼区間を求めます。
+ * @param {{wins: number, draws: number, losses: number}} record - 対局結果
+ * @returns {{games: number, score: number, elo: number, low: number, high: number, margin: number}}
+ *   margin は Elo差の信頼区間の半幅（区間が非対称なときは広い方）
+ */
+function summarizeRecord(record) {
+  const { wins, draws, losses } = record;
+  const games = wins + draws + losses;
+  if (games === 0) {
+    return { games: 0, score: 0.5, elo: 0, low: -Infinity, high: Infinity, margin: Infinity };
+  }
+
+  const score = (wins + draws / 2) / games;
+  // 1局あたりのスコアの分散から標準誤差を求める
+  const variance =
+    (wins * (1 - score) ** 2 + draws * (0.5 - score) ** 2 + losses * score ** 2) / games;
+  const stderr = Math.sqrt(variance / games);
+  const elo = scoreToElo(score);
+  const low = scoreToElo(score - Z_95 * stderr);
+  const high = scoreToElo(score + Z_95 * stderr);
+  return {
+    games,
+    score,
+    elo,
+    low,
+    high,
+    margin: Math.max(elo - low, high - elo),
+  };
+}
+
+/**
+ * 総当たりの結果から、各設定のレーティングを推定します（平均が0になるように揃えます）。
+ * 引き分けは0.5勝として扱い、反復法で最尤推定します。
+ * @param {Array<string>} players - 設定名
+ * @param {Array<{a: string, b: string, wins: number, draws: number, losses: number}>} pairings
+ *   a から見た b との対局結果
+ * @param {Object} [options={}] - オプション
+ * @param {number} [options.iterations=200] - 反復回数
+ * @returns {Array<{name: string, elo: number, margin: number, games: number}>} レーティング
+ *   margin は Fisher 情報量から求めた95%信頼区間の半幅
+ */
+function fitRatings(players, pairings, options = {}) {
+  const iterations = options.iterations || 200;
+  const ratings = new Map(players.map((name) => [name, 0]));
+
+  // 各設定の相手ごとのスコアと対局数
+  const matches = new Map(players.map((name) => [name, []]));
+  for (const pairing of pairings) {
+    const games = pairing.wins + pairing.draws + pairing.losses;
+    if (games === 0) {
+      continue;
+    }
+    const scoreA = pairing.wins + pairing.draws / 2;
+    matches.get(pairing.a).push({ opponent: pairing.b, games, score: scoreA });
+    matches.get(pairing.b).push({ opponent: pairing.a, games, score: games - scoreA });
+  }
+
+  for (let step = 0; step < iterations; step += 1) {
+    for (const name of players) {
+      let actual = 0;
+      let expected = 0;
+      let information = 0;
+      for (const match of matches.get(name)) {
+        const p = eloToScore(ratings.get(name) - ratings.get(match.opponent));
+        actual += match.score;
+        expected += match.games * p;
+        information += match.games * p * (1 - p);
+      }
+      if (information === 0) {
+        continue;
+      }
+      // ニュートン法の1ステップ（Elo単位）。全勝・全敗でも発散しないよう1回の変化を制限
+      const delta = ((actual - expected) / information) * (400 / Math.LN10);
+      ratings.set(name, ratings.get(name) + Math.max(-200, Math.min(200, delta)));
+    }
+
+    const mean = players.reduce((sum, name) => sum + ratings.get(name), 0) / players.length;
+    for (const name of players) {
+      ratings.set(name, ratings.get(name) - mean);
+    }
+  }
+
+  return players.map((name) => {
+    let information = 0;
+    let games = 0;
+    for (const match of matches.get(name)) {
+      const p = eloToScore(ratings.get(name) - ratings.get(match.opponent));
+      information += match.games * p * (1 - p);
+      games += match.games;
+    }
+    const margin = information > 0
+      ? Z_95 * (400 / Math.LN10) / Math.sqrt(information)
+      : Infinity;
+    return { name, elo: ratings.get(name), margin, games };
+  });
+}
+
+module.exports = {
+  scoreToElo,
+  eloToScore,
+  summarizeRecord,
+  fitRatings,
+};
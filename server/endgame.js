@@ -0,0 +1,296 @@
+/**
+ * @fileoverview 終盤ソルバー（全駒配置後の証明探索）
+ *
+ * 両者が持ち駒をすべて打ち終えた後は駒を動かすだけの局面になるため、
+ * 評価関数を使わずに勝ち・負け・引き分けを証明する探索を行います。
+ * - 手数を1ずつ増やす反復深化で、最短の勝ち（負けなら最長の抵抗）を見つけます
+ * - 証明済みの勝ち・負けは局面のZobristキーでメモ化します
+ * - 千日手はルールと同じく、対局の履歴と探索経路を合わせて同じ局面が REPETITION_LIMIT 回現れたら引き分けにします
+ * - ノード数と時間の上限を超えたら、その時点までに分かった結果（unknown を含む）を返します
+ *
+ * 負け・引き分けはすべての手の結果が分かったときだけ確定させます。
+ * 引き分け（千日手・手数上限）と、既に現れた局面を通った結果（pathDependent）は対局の履歴と探索経路に依存するため、
+ * メモ化しません。
+ *
+ * @module endgame
+ */
+
+const {
+  getStateRuleset,
+  applySearchAction,
+  countPlies,
+  countPositionRepetitions,
+  listActions,
+} = require("@yonmoque/rules");
+const { getZobrist, hashState, hashChild } = require("./transposition");
+
+/** 証明の結果（手番側から見た値） */
+const RESULT = Object.freeze({
+  WIN: "win",
+  LOSS: "loss",
+  DRAW: "draw",
+  UNKNOWN: "unknown",
+});
+
+/** 既定の最大手数（反復深化の上限） */
+const DEFAULT_MAX_DEPTH = 16;
+
+/** 既定のノード数の上限 */
+const DEFAULT_NODE_BUDGET = 200000;
+
+/**
+ * 全駒配置後（駒を動かすだけの局面）かどうかを判定します。
+ * @param {Object} state - ゲーム状態
+ * @returns {boolean} 両者が持ち駒を打ち終えていればtrue
+ */
+function isEndgame(state) {
+  const rules = getStateRuleset(state);
+  return (
+    state.status === "playing" &&
+    state.placed.black >= rules.maxPieces &&
+    state.placed.white >= rules.maxPieces
+  );
+}
+
+/**
+ * 子局面の結果を親（手を指した側）から見た結果に変換します。
+ * @param {Object} child - 子局面の結果 { result, distance, pathDependent }
+ * @returns {Object} 親から見た結果 { result, distance, pathDependent }
+ */
+function fromParent(child) {
+  let result = child.result;
+  if (child.result === RESULT.WIN) {
+    result = RESULT.LOSS;
+  } else if (child.result === RESULT.LOSS) {
+    result = RESULT.WIN;
+  }
+  return { result, distance: child.distance + 1, pathDependent: Boolean(child.pathDependent) };
+}
+
+/**
+ * 終局した子局面の結果を、手を指した側から見た結果にします。
+ * 千日手の引き分けは対局の履歴と探索経路で決まるため pathDependent にします。
+ * @param {Object} child - 終局した子局面
+ * @param {'black'|'white'} mover - 手を指した側
+ * @returns {Object} { result, distance, pathDependent }
+ */
+function terminalResult(child, mover) {
+  if (!child.winner) {
+    return { result: RESULT.DRAW, distance: 1, pathDependent: child.result === "repetition" };
+  }
+  return { result: child.winner === mover ? RESULT.WIN : RESULT.LOSS, distance: 1, pathDependent: false };
+}
+
+/**
+ * 結果の優劣を比べます（手番側にとって a が b より良ければ正）。
+ * 勝ちは早いほど、負けは遅いほど良く、unknown は引き分けと負けの間として扱います。
+ * @param {Object} a - 結果
+ * @param {Object} b - 結果
+ * @returns {number} 比較値
+ */
+function compareResults(a, b) {
+  const rank = (entry) => {
+    if (entry.result === RESULT.WIN) return 3000 - entry.distance;
+    if (entry.result === RESULT.DRAW) return 2000;
+    if (entry.result === RESULT.UNKNOWN) return 1000;
+    return entry.distance;
+  };
+  return rank(a) - rank(b);
+}
+
+/**
+ * 全駒配置後の局面を証明探索します。
+ * ルートは実際の対局の局面なので、返す結果は対局の履歴を踏まえた正確な結果です。
+ * @param {Object} state - ゲーム状態（全駒配置後、手番側から見た結果を返す）
+ * @param {Object} [options={}] - オプション
+ * @param {number} [options.maxDepth=16] - 反復深化の最大手数
+ * @param {number} [options.timeLimitMs=500] - 制限時間（ミリ秒）
+ * @param {number} [options.nodeBudget=200000] - ノード数の上限
+ * @returns {Object} { result, action, distance, nodes, moves }
+ *   moves はルートの各手の結果 { action, result, distance } の配列
+ */
+function solveEndgame(state, options = {}) {
+  const maxDepth = options.maxDepth || DEFAULT_MAX_DEPTH;
+  const nodeBudget = options.nodeBudget || DEFAULT_NODE_BUDGET;
+  const deadline = Date.now() + (options.timeLimitMs || 500);
+
+  const rules = getStateRuleset(state);
+  const zobrist = getZobrist(rules);
+  const memo = new Map();
+  let nodes = 0;
+  let aborted = false;
+
+  // 手数上限が近いと、同じ局面でも残り手数で結果が変わるためメモを使わない
+  const useMemo = state.maxPlies - countPlies(state) > maxDepth + 1;
+
+  /**
+   * 局面を指定手数まで証明探索します。
+   * @param {Object} current - 進行中の局面
+   * @param {Object} hash - 局面のハッシュ
+   * @param {number} depth - 残り手数
+   * @returns {Object} 手番側から見た結果 { result, distance, pathDependent }
+   *   pathDependent は、対局の履歴・探索経路によって千日手かどうかが変わる局面を通った結果か
+   */
+  const solve = (current, hash, depth) => {
+    nodes += 1;
+    if (nodes > nodeBudget || Date.now() > deadline) {
+      aborted = true;
+      return { result: RESULT.UNKNOWN, distance: 0 };
+    }
+
+    const cached = useMemo ? memo.get(hash.key) : undefined;
+    if (cached) {
+      if (cached.result !== RESULT.UNKNOWN) {
+        return cached;
+      }
+      if (cached.depth >= depth) {
+        return { result: RESULT.UNKNOWN, distance: 0 };
+      }
+    }
+
+    if (depth === 0) {
+      return { result: RESULT.UNKNOWN, distance: 0 };
+    }
+
+    const mover = current.turn;
+    let best = null;
+    let allLost = true;
+    let anyUnknown = false;
+    let anyPathDependent = false;
+
+    for (const action of listActions(current, mover)) {
+      const applied = applySearchAction(current, action);
+      if (!applied.ok) {
+        continue;
+      }
+      const child = applied.state;
+
+      let outcome;
+      if (child.status !== "playing") {
+        outcome = terminalResult(child, mover);
+      } else {
+        outcome = fromParent(solve(child, hashChild(zobrist, hash, current, child), depth - 1));
+        // 既に現れた局面は、別の履歴・経路からたどると千日手になるかどうかが変わる
+        if (countPositionRepetitions(child) > 1) {
+          outcome.pathDependent = true;
+        }
+      }
+
+      if (aborted) {
+        break;
+      }
+      if (outcome.result !== RESULT.LOSS) {
+        allLost = false;
+      }
+      if (outcome.result === RESULT.UNKNOWN) {
+        anyUnknown = true;
+      }
+      if (outcome.pathDependent) {
+        anyPathDependent = true;
+      }
+      if (!best || compareResults(outcome, best) > 0) {
+        best = outcome;
+      }
+      // 勝ちが見つかれば（反復深化なのでほぼ最短）打ち切る
+      if (outcome.result === RESULT.WIN) {
+        break;
+      }
+    }
+
+    if (aborted) {
+      return { result: RESULT.UNKNOWN, distance: 0 };
+    }
+
+    // 勝ちは1手あれば確定（その手の結果だけに依存）、負け・引き分けはすべての手の結果が分かったときだけ確定
+    let result;
+    if (best && best.result === RESULT.WIN) {
+      result = best;
+    } else if (!best || anyUnknown) {
+      result = { result: RESULT.UNKNOWN, distance: 0, pathDependent: anyPathDependent };
+    } else if (allLost) {
+      result = { ...best, pathDependent: anyPathDependent };
+    } else {
+      result = { result: RESULT.DRAW, distance: best.distance, pathDependent: anyPathDependent };
+    }
+
+    if (useMemo && !result.pathDependent) {
+      if (result.result === RESULT.WIN || result.result === RESULT.LOSS) {
+        memo.set(hash.key, result);
+      } else if (result.result === RESULT.UNKNOWN) {
+        memo.set(hash.key, { result: RESULT.UNKNOWN, depth });
+      }
+    }
+    return result;
+  };
+
+  // ルートの各手を反復深化で証明
+  const rootHash = hashState(zobrist, state);
+  const mover = state.turn;
+  const moves = [];
+  for (const action of listActions(state, mover)) {
+    const applied = applySearchAction(state, action);
+    if (!applied.ok) {
+      continue;
+    }
+    const child = applied.state;
+    const entry = { action, child, result: RESULT.UNKNOWN, distance: 0 };
+    if (child.status !== "playing") {
+      Object.assign(entry, terminalResult(child, mover));
+    }
+    moves.push(entry);
+  }
+
+  for (let depth = 1; depth <= maxDepth && !aborted; depth += 1) {
+    for (const entry of moves) {
+      // 結果が証明済みの手はそれ以上調べない
+      if (entry.result !== RESULT.UNKNOWN) {
+        continue;
+      }
+      const childHash = hashChild(zobrist, rootHash, state, entry.child);
+      const outcome = fromParent(solve(entry.child, childHash, depth - 1));
+      if (aborted) {
+        break;
+      }
+      entry.result = outcome.result;
+      entry.distance = outcome.distance;
+    }
+
+    // 勝ちが見つかるか、すべての手の結果が確定したら終了
+    if (moves.some((entry) => entry.result === RESULT.WIN)) {
+      break;
+    }
+    if (moves.every((entry) => entry.result !== RESULT.UNKNOWN)) {
+      break;
+    }
+  }
+
+  let best = null;
+  for (const entry of moves) {
+    if (!best || compareResults(entry, best) > 0) {
+      best = entry;
+    }
+  }
+
+  // 勝ちがなく未確定の手が残っていれば、局面としても未確定
+  let result = best ? best.result : RESULT.UNKNOWN;
+  if (result !== RESULT.WIN && moves.some((entry) => entry.result === RESULT.UNKNOWN)) {
+    result = RESULT.UNKNOWN;
+  }
+  return {
+    result,
+    action: best ? best.action : null,
+    distance: best ? best.distance : 0,
+    nodes,
+    moves: moves.map(({ action, result: moveResult, distance }) => ({
+      action,
+      result: moveResult,
+      distance,
+    })),
+  };
+}
+
+module.exports = {
+  RESULT,
+  isEndgame,
+  solveEndgame,
+};
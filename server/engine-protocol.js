@@ -0,0 +1,223 @@
+/**
+ * @fileoverview 外部エンジンとのテキストプロトコル（YEI: Yonmoque Engine Interface）
+ *
+ * チェスの UCI にならい、標準入出力の1行1コマンドでやり取りします。トークンは空白区切りです。
+ * サーバー（GUI側）からエンジンへ:
+ *   yei                                 - 初期化。エンジンは id / option を送り、最後に yeiok を返す
+ *   setoption name <名前> value <値>     - オプションの設定（名前は空白を含まない）
+ *   isready                             - 準備の確認。エンジンは処理が済んだら readyok を返す
+ *   newgame                             - 新しい対局の開始（前の対局の情報を捨ててよい）
+ *   position startpos [ruleset <ID>] [maxplies <手数>] [moves <手> ...]
+ *   position fen <局面文字列> [moves <手> ...]
+ *   go [movetime <ミリ秒>] [depth <深さ>] - 手番側の最善手を探索する。エンジンは bestmove を返す
+ *   stop                                - 探索を打ち切って bestmove を返すよう求める
+ *   quit                                - 終了
+ * エンジンからサーバーへ:
+ *   id name <名前> / id author <作者>
+ *   option name <名前> type <spin|combo|string> default <既定値> [min <最小>] [max <最大>] [var <値> ...]
+ *   yeiok / readyok
+ *   info [depth <深さ>] [score <評価値>] [nodes <ノード数>] [time <ミリ秒>] [pv <手> ...] / info string <文字列>
+ *   bestmove <手>                        - 指せる手がなければ bestmove none
+ *
+ * 手は棋譜表記から空白を除いた形です（打つ手 "Pc3"、動かす手 "Mb2-d4"）。
+ * 局面文字列は @yonmoque/rules の encodePosition の形式です。
+ * startpos の moves は千日手の判定のため対局の最初からの手をすべて送ります（サーバーは常に startpos で送ります）。
+ *
+ * @module engine-protocol
+ */
+
+const {
+  createNewGameState,
+  applyAction,
+  decodePosition,
+  formatAction,
+  parseAction,
+} = require("@yonmoque/rules");
+
+/**
+ * 1行をコマンド名と引数のトークンに分けます。
+ * @param {string} line - 受信した1行
+ * @returns {{name: string, args: Array<string>}|null} 空行ならnull
+ */
+function parseCommand(line) {
+  const tokens = String(line).trim().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) {
+    return null;
+  }
+  return { name: tokens[0], args: tokens.slice(1) };
+}
+
+/**
+ * アクションをプロトコルの手のトークンに変換します。
+ * @param {Object} action - アクション
+ * @returns {string|null} 手のトークン（例: "Pc3"、"Mb2-d4"）
+ */
+function formatMoveToken(action) {
+  const notation = formatAction(action);
+  return notation ? notation.replace(/\s+/g, "") : null;
+}
+
+/**
+ * 手のトークンをアクションに変換します（合法性は applyAction で判定）。
+ * @param {string} token - 手のトークン
+ * @param {'black'|'white'} color - 手を指す色
+ * @param {string} [ruleset] - ルールセットID（盤面の外のマスを invalid_square にする）
+ * @returns {{ok: true, action: Object}|{ok: false, error: string}} 結果
+ */
+function parseMoveToken(token, color, ruleset) {
+  return parseAction(token, color, ruleset);
+}
+
+/**
+ * 対局の最初からの手を position コマンドにします。
+ * @param {Object} game - ゲーム状態（ruleset / maxPlies / moves）
+ * @returns {string} position コマンド
+ */
+function formatPositionCommand(game) {
+  const parts = ["position", "startpos", "ruleset", game.ruleset];
+  if (game.maxPlies) {
+    parts.push("maxplies", String(game.maxPlies));
+  }
+  const moves = (game.moves || []).map(formatMoveToken);
+  if (moves.length > 0) {
+    parts.push("moves", ...moves);
+  }
+  return parts.join(" ");
+}
+
+/**
+ * position コマンドの引数から局面を作ります。
+ * @param {Array<string>} args - position に続くトークン
+ * @returns {Object} 結果オブジェクト
+ * @returns {boolean} return.ok - 成功したかどうか
+ * @returns {string} [return.error] - 失敗理由
+ * @returns {number} [return.ply] - 適用できなかった手の番号（moves の中で1始まり）
+ * @returns {Object} [return.state] - 成功時のゲーム状態
+ */
+function parsePositionArgs(args) {
+  let state;
+  let index;
+  if (args[0] === "startpos") {
+    const options = {};
+    index = 1;
+    while (index < args.length && args[index] !== "moves") {
+      const [key, value] = [args[index], args[index + 1]];
+      if (key === "ruleset" && value) {
+        options.ruleset = value;
+      } else if (key === "maxplies" && /^\d+$/.test(value || "")) {
+        options.maxPlies = Number(value);
+      } else {
+        return { ok: false, error: "invalid_position" };
+      }
+      index += 2;
+    }
+    state = createNewGameState(options);
+    if (options.ruleset && state.ruleset !== options.ruleset) {
+      return { ok: false, error: "invalid_ruleset" };
+    }
+  } else if (args[0] === "fen") {
+    // 局面文字列のフィールド数はバージョンで違うため、moves の手前までを局面文字列とする
+    const end = args.indexOf("moves");
+    index = end < 0 ? args.length : end;
+    const decoded = decodePosition(args.slice(1, index).join(" "));
+    if (!decoded.ok) {
+      return { ok: false, error: decoded.error };
+    }
+    state = decoded.state;
+  } else {
+    return { ok: false, error: "invalid_position" };
+  }
+
+  if (index < args.length && args[index] !== "moves") {
+    return { ok: false, error: "invalid_position" };
+  }
+  const tokens = args.slice(index + 1);
+  for (let ply = 0; ply < tokens.length; ply += 1) {
+    const parsed = parseMoveToken(tokens[ply], state.turn, state.ruleset);
+    if (!parsed.ok) {
+      return { ok: false, error: parsed.error, ply: ply + 1 };
+    }
+    const applied = applyAction(state, parsed.action);
+    if (!applied.ok) {
+      return { ok: false, error: applied.error, ply: ply + 1 };
+    }
+    state = applied.state;
+  }
+  return { ok: true, state };
+}
+
+/**
+ * go コマンドの引数を読み取ります（知らない引数は無視）。
+ * @param {Array<string>} args - go に続くトークン
+ * @returns {{movetime: number|null, depth: number|null}} 探索の制限
+ */
+function parseGoArgs(args) {
+  const limits = { movetime: null, depth: null };
+  for (let index = 0; index < args.length; index += 1) {
+    const key = args[index];
+    const value = Number(args[index + 1]);
+    if ((key === "movetime" || key === "depth") && Number.isInteger(value) && value > 0) {
+      limits[key] = value;
+      index += 1;
+    }
+  }
+  return limits;
+}
+
+/**
+ * setoption コマンドの引数を読み取ります。
+ * @param {Array<string>} args - setoption に続くトークン
+ * @returns {{name: string, value: string}|null} 形式が違えばnull
+ */
+function parseSetOptionArgs(args) {
+  if (args[0] !== "name" || !args[1]) {
+    return null;
+  }
+  if (args.length === 2) {
+    return { name: args[1], value: "" };
+  }
+  if (args[2] !== "value") {
+    return null;
+  }
+  return { name: args[1], value: args.slice(3).join(" ") };
+}
+
+/**
+ * setoption コマンドを作ります。
+ * @param {string} name - オプション名
+ * @param {*} value - 値
+ * @returns {string} setoption コマンド
+ */
+function formatSetOptionCommand(name, value) {
+  return `setoption name ${name} value ${value}`;
+}
+
+/**
+ * info 行を作ります（値のない項目は省略）。
+ * @param {Object} info - { depth, score, nodes, time, pv }（pv はアクションの配列）
+ * @returns {string} info 行
+ */
+function formatInfo(info) {
+  const parts = ["info"];
+  for (const key of ["depth", "score", "nodes", "time"]) {
+    if (Number.isFinite(info[key])) {
+      parts.push(key, String(Math.round(info[key])));
+    }
+  }
+  if (info.pv && info.pv.length > 0) {
+    parts.push("pv", ...info.pv.map(formatMoveToken));
+  }
+  return parts.join(" ");
+}
+
+module.exports = {
+  parseCommand,
+  formatMoveToken,
+  parseMoveToken,
+  formatPositionCommand,
+  parsePositionArgs,
+  parseGoArgs,
+  parseSetOptionArgs,
+  formatSetOptionCommand,
+  formatInfo,
+};
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview CPUの思考エンジンの一覧
+ *
+ * どのエンジンも searchBestMove(state, color, options) の形で最善手を返します。
+ * CPU_LEVELS の engine で使うエンジンを選びます。
+ *
+ * @module engines
+ */
+
+const alphaBeta = require("./ai");
+const mcts = require("./mcts");
+
+/** 既定のエンジン */
+const DEFAULT_ENGINE = "alphabeta";
+
+/**
+ * エンジン名と searchBestMove の対応
+ * - alphabeta: ミニマックス法（アルファベータ枝刈り）
+ * - mcts: モンテカルロ木探索
+ * @type {Object<string, function(Object, string, Object): (Object|null)>}
+ */
+const ENGINES = {
+  alphabeta: alphaBeta.searchBestMove,
+  mcts: mcts.searchBestMove,
+};
+
+/**
+ * エンジン名から searchBestMove を取得します（不明な名前なら既定のエンジン）。
+ * @param {string} [name] - エンジン名
+ * @returns {function(Object, string, Object): (Object|null)} searchBestMove
+ */
+function getEngine(name) {
+  return ENGINES[name] || ENGINES[DEFAULT_ENGINE];
+}
+
+module.exports = {
+  DEFAULT_ENGINE,
+  ENGINES,
+  getEngine,
+};
@@ -0,0 +1,454 @@
+/**
+ * @fileoverview 外部エンジン（YEI プロトコルの実行ファイル）の管理
+ *
+ * サーバーの設定ファイル（CPU_ENGINES_FILE）に書かれたエンジンだけを起動します。
+ * クライアントはエンジンのIDを選ぶだけで、コマンドや引数は指定できません。
+ * - 子プロセスはキー（ルーム・CPUの色）ごとに1つ起動し、席を離れる（release）まで使い回します
+ * - 最初の探索の前に yei / setoption / isready で初期化し、対局が変わると newgame を送ります
+ * - 探索は position startpos ... moves と go movetime で依頼し、bestmove を待ちます
+ * - 1つのキーにつき依頼は1件までで、新しい依頼や cancel() は前の依頼を取り消します（エンジンには stop を送り、
+ *   返ってきた bestmove は捨てます）
+ * - 制限時間と猶予を過ぎても bestmove を返さない・終了した・手を返さない（bestmove none）・不正な手を返したエンジンは停止し、
+ *   次の探索で起動し直します
+ *
+ * 結果は例外ではなく { ok, action } / { ok: false, error } で返します（cpu-pool.js の search と同じ形）。
+ * エラーは unknown_engine / engine_start_failed / engine_exited / engine_timeout / engine_no_move /
+ * engine_illegal_move / cancelled です。
+ *
+ * @module external-engines
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { spawn } = require("child_process");
+const { applyAction } = require("@yonmoque/rules");
+const {
+  parseCommand,
+  parseMoveToken,
+  formatPositionCommand,
+  formatSetOptionCommand,
+} = require("./engine-protocol");
+
+/** 初期化（yeiok・readyok）を待つ時間（ミリ秒） */
+const HANDSHAKE_TIMEOUT_MS = 5000;
+
+/** 制限時間を過ぎてから bestmove を待つ猶予（ミリ秒） */
+const MOVE_GRACE_MS = 2000;
+
+/** quit を送ってから強制終了するまでの時間（ミリ秒） */
+const QUIT_TIMEOUT_MS = 1000;
+
+/** 設定に制限時間がないときの1手の制限時間（ミリ秒） */
+const DEFAULT_MOVETIME_MS = 700;
+
+/** エンジンIDに使える文字 */
+const ENGINE_ID_PATTERN = /^[A-Za-z0-9_.-]{1,32}$/;
+
+/**
+ * 設定ファイルの1件を検証してエンジンの定義にします。
+ * @param {Object} raw - 設定ファイルの engines の要素
+ * @param {string} baseDir - 相対パスの基準（設定ファイルのディレクトリ）
+ * @returns {Object|null} { id, name, command, args, cwd, options, movetimeMs }（不正ならnull）
+ */
+function normalizeDefinition(raw, baseDir) {
+  if (!raw || !ENGINE_ID_PATTERN.test(raw.id || "") || typeof raw.command !== "string" || !raw.command) {
+    return null;
+  }
+  const args = raw.args === undefined ? [] : raw.args;
+  if (!Array.isArray(args) || !args.every((arg) => typeof arg === "string")) {
+    return null;
+  }
+  const options = raw.options === undefined ? {} : raw.options;
+  if (
+    !options ||
+    typeof options !== "object" ||
+    !Object.entries(options).every(
+      ([name, value]) => /^\S+$/.test(name) && ["string", "number", "boolean"].includes(typeof value)
+    )
+  ) {
+    return null;
+  }
+  if (raw.movetimeMs !== undefined && !(Number.isInteger(raw.movetimeMs) && raw.movetimeMs > 0)) {
+    return null;
+  }
+  return Object.freeze({
+    id: raw.id,
+    name: typeof raw.name === "string" && raw.name ? raw.name : raw.id,
+    command: raw.command,
+    args: Object.freeze([...args]),
+    cwd: path.resolve(baseDir, typeof raw.cwd === "string" ? raw.cwd : "."),
+    options: Object.freeze({ ...options }),
+    movetimeMs: raw.movetimeMs || DEFAULT_MOVETIME_MS,
+  });
+}
+
+/**
+ * 外部エンジンの設定ファイルを読み込みます。
+ * 形式は { "engines": [{ id, name, command, args, cwd, options, movetimeMs }] } で、
+ * cwd（省略時は設定ファイルのディレクトリ）は設定ファイルのディレクトリからの相対パスです。
+ * 不正な要素やIDが重複した要素は警告して読み飛ばします。
+ * @param {string} [file] - 設定ファイルのパス（省略時は外部エンジンなし）
+ * @returns {Array<Object>} エンジンの定義
+ */
+function loadEngineDefinitions(file) {
+  if (!file) {
+    return [];
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    console.warn(`Failed to read engines file ${file}:`, error.message);
+    return [];
+  }
+  if (!parsed || !Array.isArray(parsed.engines)) {
+    console.warn(`Ignoring engines file with unexpected format: ${file}`);
+    return [];
+  }
+
+  const baseDir = path.dirname(path.resolve(file));
+  const definitions = [];
+  parsed.engines.forEach((raw, index) => {
+    const definition = normalizeDefinition(raw, baseDir);
+    if (!definition) {
+      console.warn(`Ignoring invalid engine #${index + 1} in ${file}`);
+    } else if (definitions.some((entry) => entry.id === definition.id)) {
+      console.warn(`Ignoring duplicate engine id "${definition.id}" in ${file}`);
+    } else {
+      definitions.push(definition);
+    }
+  });
+  return definitions;
+}
+
+/**
+ * エンジンの子プロセスを起動します。
+ * @param {Object} definition - エンジンの定義
+ * @returns {Object} { definition, child, alive, waiters, write, waitFor, kill }
+ */
+function startProcess(definition) {
+  const child = spawn(definition.command, definition.args, {
+    cwd: definition.cwd,
+    stdio: ["pipe", "pipe", "pipe"],
+  });
+  const proc = { definition, child, alive: true, exitError: "engine_exited", waiters: [] };
+  let exited = false;
+
+  /**
+   * 待っている返事をすべて失敗で終わらせます。
+   * @param {string} error - エラーコード
+   */
+  const failWaiters = (error) => {
+    for (const waiter of proc.waiters.splice(0)) {
+      waiter.settle({ ok: false, error });
+    }
+  };
+
+  readline.createInterface({ input: child.stdout }).on("line", (line) => {
+    const command = parseCommand(line);
+    if (!command) {
+      return;
+    }
+    const index = proc.waiters.findIndex((waiter) => waiter.name === command.name);
+    if (index >= 0) {
+      proc.waiters.splice(index, 1)[0].settle({ ok: true, command });
+    }
+  });
+  readline.createInterface({ input: child.stderr }).on("line", (line) => {
+    console.warn(`[engine ${definition.id}] ${line}`);
+  });
+  // 終了したエンジンへの書き込み（EPIPE）は exit で扱う
+  child.stdin.on("error", () => {});
+  child.on("error", (error) => {
+    console.warn(`Failed to start engine ${definition.id}:`, error.message);
+    proc.alive = false;
+    proc.exitError = "engine_start_failed";
+    failWaiters(proc.exitError);
+  });
+  child.on("exit", () => {
+    exited = true;
+    proc.alive = false;
+    failWaiters(proc.exitError);
+  });
+
+  /**
+   * 1行を送信します。
+   * @param {string} line - 送信する行
+   */
+  proc.write = (line) => {
+    if (proc.alive && child.stdin.writable) {
+      child.stdin.write(`${line}\n`);
+    }
+  };
+
+  /**
+   * 指定したコマンド名の返事を待ちます。
+   * @param {string} name - 待つコマンド名（yeiok / readyok / bestmove）
+   * @param {number} timeoutMs - 待つ時間（ミリ秒）
+   * @returns {Promise<{ok: true, command: Object}|{ok: false, error: string}>} 返事
+   */
+  proc.waitFor = (name, timeoutMs) => {
+    if (!proc.alive) {
+      return Promise.resolve({ ok: false, error: proc.exitError });
+    }
+    return new Promise((resolve) => {
+      const waiter = {
+        name,
+        settle: (result) => {
+          clearTimeout(timer);
+          resolve(result);
+        },
+      };
+      const timer = setTimeout(() => {
+        const index = proc.waiters.indexOf(waiter);
+        if (index >= 0) {
+          proc.waiters.splice(index, 1);
+        }
+        resolve({ ok: false, error: "engine_timeout" });
+      }, timeoutMs);
+      proc.waiters.push(waiter);
+    });
+  };
+
+  /**
+   * quit を送り、終了しなければ強制終了します。
+   * 終了を待たずに使えないものとして扱います（次の探索では起動し直す）。
+   */
+  proc.kill = () => {
+    if (!proc.alive) {
+      return;
+    }
+    proc.write("quit");
+    child.stdin.end();
+    proc.alive = false;
+    failWaiters(proc.exitError);
+    setTimeout(() => {
+      if (!exited) {
+        child.kill("SIGKILL");
+      }
+      // エンジンが起動した子プロセスがパイプを持ち続けても待たない
+      child.stdout.destroy();
+      child.stderr.destroy();
+    }, QUIT_TIMEOUT_MS).unref();
+  };
+
+  return proc;
+}
+
+/**
+ * 外部エンジンの管理を作成します。
+ * @param {Array<Object>} definitions - loadEngineDefinitions で読み込んだエンジンの定義
+ * @returns {Object} { list, has, get, search, cancel, release, close }
+ */
+function createExternalEngines(definitions) {
+  const byId = new Map(definitions.map((definition) => [definition.id, definition]));
+
+  /** キーごとの { definition, proc, startedAt, chain, job } */
+  const entries = new Map();
+
+  /**
+   * エンジンを起動して初期化します。
+   * @param {Object} entry - キーの状態
+   * @returns {Promise<{ok: boolean, error?: string}>} 結果
+   */
+  async function boot(entry) {
+    const proc = startProcess(entry.definition);
+    entry.proc = proc;
+    entry.startedAt = null;
+
+    proc.write("yei");
+    const hello = await proc.waitFor("yeiok", HANDSHAKE_TIMEOUT_MS);
+    if (!hello.ok) {
+      return hello;
+    }
+    for (const [name, value] of Object.entries(entry.definition.options)) {
+      proc.write(formatSetOptionCommand(name, value));
+    }
+    return { ok: true };
+  }
+
+  /**
+   * 1手を探索します（キーごとに直列に実行）。
+   * @param {Object} entry - キーの状態
+   * @param {Object} job - 依頼 { game, color, timeLimitMs, running }
+   * @returns {Promise<Object>} { ok, action } / { ok: false, error }
+   */
+  async function runSearch(entry, job) {
+    const { game, color, timeLimitMs } = job;
+    if (!entry.proc || !entry.proc.alive) {
+      const booted = await boot(entry);
+      if (!booted.ok) {
+        entry.proc.kill();
+        return booted;
+      }
+    }
+    const proc = entry.proc;
+
+    if (entry.startedAt !== game.startedAt) {
+      proc.write("newgame");
+      proc.write("isready");
+      const ready = await proc.waitFor("readyok", HANDSHAKE_TIMEOUT_MS);
+      if (!ready.ok) {
+        proc.kill();
+        return ready;
+      }
+      entry.startedAt = game.startedAt;
+    }
+
+    proc.write(formatPositionCommand(game));
+    proc.write(`go movetime ${timeLimitMs}`);
+    const reply = await proc.waitFor("bestmove", timeLimitMs + MOVE_GRACE_MS);
+    if (!reply.ok) {
+      proc.kill();
+      return reply;
+    }
+
+    const token = reply.command.args[0];
+    // 対局中の局面でしか依頼しないので、手を返さないのも不正な手と同じく異常として扱う
+    if (!token || token === "none") {
+      proc.kill();
+      return { ok: false, error: "engine_no_move" };
+    }
+    const parsed = parseMoveToken(token, color, game.ruleset);
+    if (!parsed.ok || !applyAction(game, parsed.action).ok) {
+      proc.kill();
+      return { ok: false, error: "engine_illegal_move" };
+    }
+    return { ok: true, action: parsed.action };
+  }
+
+  /**
+   * 外部エンジンの一覧（クライアントに見せる情報のみ）
+   * @returns {Array<{id: string, name: string}>} エンジンの一覧
+   */
+  function list() {
+    return definitions.map(({ id, name }) => ({ id, name }));
+  }
+
+  /**
+   * エンジンIDが設定されているかを返します。
+   * @param {string} id - エンジンID
+   * @returns {boolean} 設定されていればtrue
+   */
+  function has(id) {
+    return byId.has(id);
+  }
+
+  /**
+   * エンジンの定義を返します。
+   * @param {string} id - エンジンID
+   * @returns {Object|null} エンジンの定義
+   */
+  function get(id) {
+    return byId.get(id) || null;
+  }
+
+  /**
+   * キーの依頼を取り消します（探索中ならエンジンに stop を送る）。
+   * @param {*} key - キー
+   */
+  function cancel(key) {
+    const entry = entries.get(key);
+    if (!entry || !entry.job) {
+      return;
+    }
+    if (entry.job.running && entry.proc) {
+      entry.proc.write("stop");
+    }
+    entry.job.settle({ ok: false, error: "cancelled" });
+  }
+
+  /**
+   * キーのエンジンで手番側の最善手を探索します。
+   * @param {*} key - キー（ルーム・CPUの色）
+   * @param {string} id - エンジンID
+   * @param {Object} game - ゲーム状態（対局の最初からの moves を含む）
+   * @param {'black'|'white'} color - CPUの色
+   * @param {Object} [options={}] - { timeLimitMs }（省略時はエンジンの movetimeMs）
+   * @returns {Promise<Object>} { ok, action } / { ok: false, error }
+   */
+  function search(key, id, game, color, options = {}) {
+    const definition = byId.get(id);
+    if (!definition) {
+      return Promise.resolve({ ok: false, error: "unknown_engine" });
+    }
+
+    let entry = entries.get(key);
+    if (entry && entry.definition !== definition) {
+      release(key);
+      entry = null;
+    }
+    if (!entry) {
+      entry = { definition, proc: null, startedAt: null, chain: Promise.resolve(), job: null };
+      entries.set(key, entry);
+    }
+    cancel(key);
+
+    return new Promise((resolve) => {
+      const job = {
+        game,
+        color,
+        timeLimitMs: options.timeLimitMs || definition.movetimeMs,
+        running: false,
+        settled: false,
+        settle: (result) => {
+          if (job.settled) {
+            return;
+          }
+          job.settled = true;
+          if (entry.job === job) {
+            entry.job = null;
+          }
+          resolve(result);
+        },
+      };
+      entry.job = job;
+      // 取り消した依頼の bestmove を受け取り終えてから次の依頼を送る
+      entry.chain = entry.chain.then(async () => {
+        if (job.settled) {
+          return;
+        }
+        job.running = true;
+        try {
+          job.settle(await runSearch(entry, job));
+        } catch (error) {
+          job.settle({ ok: false, error: error && error.message ? error.message : String(error) });
+        }
+      });
+    });
+  }
+
+  /**
+   * キーのエンジンを終了します（依頼があれば取り消す）。
+   * @param {*} key - キー
+   */
+  function release(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return;
+    }
+    cancel(key);
+    entries.delete(key);
+    if (entry.proc) {
+      entry.proc.kill();
+    }
+  }
+
+  /**
+   * すべてのエンジンを終了します。
+   */
+  function close() {
+    for (const key of [...entries.keys()]) {
+      release(key);
+    }
+  }
+
+  return { list, has, get, search, cancel, release, close };
+}
+
+module.exports = {
+  loadEngineDefinitions,
+  createExternalEngines,
+};
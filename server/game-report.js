@@ -0,0 +1,240 @@
+/**
+ * @fileoverview 対局後の解析（悪手の検出）
+ *
+ * 終局した対局の棋譜を applyAction で最初から再現し、各手を CPU の探索（searchBestMove と同じ searchPosition）で
+ * 最善手と比べて採点します。
+ * - 損失: 最善手の評価値と、実際に指した手の評価値の差（同じ深さで比べる）
+ * - 分類: 損失の大きさで best / good / inaccuracy（疑問手）/ mistake（悪手）/ blunder（大悪手）
+ * - 勝ちの見逃し: 4目を作れる手があったのに指さなかった（immediate）、
+ *   勝ちを読み切れる局面で読み切れない手を指した（forced）。どちらも大悪手として扱います
+ *
+ * 評価値はいずれも手を指した側から見た値です。
+ * 読み切りの評価値（±100000）は損失の計算では ±SCORE_CAP に丸めます。
+ *
+ * @module game-report
+ */
+
+const {
+  createNewGameState,
+  applyAction,
+  applySearchAction,
+  listActions,
+  formatAction,
+  getRuleset,
+} = require("@yonmoque/rules");
+const { searchPosition, evaluateState } = require("./ai");
+const { createTranspositionTable } = require("./transposition");
+
+/** レポートの形式のバージョン */
+const REPORT_VERSION = 1;
+
+/** 勝ち・負けの読み切りとみなす評価値 */
+const WIN_THRESHOLD = 90000;
+
+/** 損失の計算で評価値を丸める上限 */
+const SCORE_CAP = 2000;
+
+/** 分類の境界となる損失（以上ならその分類） */
+const LOSS_THRESHOLDS = Object.freeze({
+  inaccuracy: 100,
+  mistake: 300,
+  blunder: 800,
+});
+
+/**
+ * 評価値を損失の計算用に丸めます。
+ * @param {number} score - 評価値
+ * @returns {number} ±SCORE_CAP に収めた値
+ */
+function capScore(score) {
+  return Math.max(-SCORE_CAP, Math.min(SCORE_CAP, score));
+}
+
+/**
+ * 損失から手を分類します。
+ * @param {number} loss - 損失
+ * @param {boolean} isBest - 最善手と同じ手か
+ * @returns {string} best / good / inaccuracy / mistake / blunder
+ */
+function classifyLoss(loss, isBest) {
+  if (loss >= LOSS_THRESHOLDS.blunder) return "blunder";
+  if (loss >= LOSS_THRESHOLDS.mistake) return "mistake";
+  if (loss >= LOSS_THRESHOLDS.inaccuracy) return "inaccuracy";
+  return isBest ? "best" : "good";
+}
+
+/**
+ * 局面に即勝ち（4目を作る）の手があるかを調べます。
+ * @param {Object} state - 局面
+ * @returns {Object|null} 即勝ちの手（なければnull）
+ */
+function findImmediateWin(state) {
+  for (const action of listActions(state, state.turn)) {
+    const result = applySearchAction(state, action);
+    if (result.ok && result.state.winner === state.turn) {
+      return action;
+    }
+  }
+  return null;
+}
+
+/**
+ * 2つのアクションが同じ手かどうかを表記で判定します。
+ * @param {Object} a - アクション
+ * @param {Object} b - アクション
+ * @returns {boolean} 同じ手ならtrue
+ */
+function isSameMove(a, b) {
+  return formatAction(a) === formatAction(b);
+}
+
+/**
+ * 対局の手のうち、指定した範囲の手を採点します。
+ * 棋譜は毎回最初から再現するため、範囲に分けて少しずつ採点できます（cpu-pool で他の探索に譲るため）。
+ * @param {Object} game - 終局した（または途中の）ゲーム状態（棋譜 moves を含む）
+ * @param {Object} [options={}] - 探索オプション
+ * @param {number} [options.maxDepth=4] - 1手あたりの最大探索深度
+ * @param {number} [options.timeLimitMs=150] - 1手あたりの制限時間（ミリ秒）
+ * @param {number} [options.fromPly=1] - 採点する最初の手の番号（1始まり）
+ * @param {number} [options.toPly=Infinity] - 採点する最後の手の番号
+ * @param {function(): boolean} [options.shouldStop] - true を返したら採点を打ち切る（それまでの手だけを返す）
+ * @returns {Array<Object>} 各手の { ply, color, notation, best, score, bestScore, loss, classification, missedWin, pv }
+ *   （棋譜の再現が途中で止まれば、そこまでの手だけ）
+ */
+function scoreGameMoves(game, options = {}) {
+  const maxDepth = options.maxDepth || 4;
+  const timeLimitMs = options.timeLimitMs || 150;
+  const fromPly = options.fromPly || 1;
+  const toPly = options.toPly || Infinity;
+  const shouldStop = options.shouldStop;
+  const tables = { black: createTranspositionTable(), white: createTranspositionTable() };
+
+  const moves = [];
+  let state = createNewGameState({ ruleset: game.ruleset, maxPlies: game.maxPlies });
+  const records = (game.moves || []).slice(0, toPly);
+  for (let index = 0; index < records.length; index += 1) {
+    if (state.status !== "playing" || (shouldStop && shouldStop())) {
+      break;
+    }
+    const move = records[index];
+    const color = state.turn;
+    const played = { type: move.type, color: move.color, from: move.from || null, to: move.to };
+    const applied = applyAction(state, played);
+    if (!applied.ok) {
+      break;
+    }
+    if (index + 1 < fromPly) {
+      state = applied.state;
+      continue;
+    }
+
+    // 最善手とその評価値
+    const table = tables[color];
+    const best = searchPosition(state, color, { maxDepth, timeLimitMs, table, shouldStop });
+    const bestScore = best.score === null ? evaluateState(state, color) : best.score;
+    const isBest = Boolean(best.action) && isSameMove(best.action, played);
+
+    // 指した手の評価値（最善手と同じ深さで比べる）
+    let score = bestScore;
+    if (!isBest) {
+      if (applied.state.status !== "playing") {
+        score = evaluateState(applied.state, color);
+      } else {
+        const searched = searchPosition(state, color, {
+          maxDepth: Math.max(1, best.depth),
+          timeLimitMs,
+          table,
+          rootActions: [played],
+          shouldStop,
+        });
+        score = searched.score === null ? evaluateState(applied.state, color) : searched.score;
+      }
+    }
+
+    const loss = Math.max(0, capScore(bestScore) - capScore(score));
+    let classification = classifyLoss(loss, isBest);
+
+    // 勝ちの見逃し
+    let missedWin = null;
+    if (applied.state.winner !== color) {
+      if (findImmediateWin(state)) {
+        missedWin = "immediate";
+      } else if (bestScore >= WIN_THRESHOLD && score < WIN_THRESHOLD) {
+        missedWin = "forced";
+      }
+    }
+    if (missedWin) {
+      classification = "blunder";
+    }
+
+    moves.push({
+      ply: index + 1,
+      color,
+      notation: formatAction(played),
+      best: best.action ? formatAction(best.action) : null,
+      score,
+      bestScore,
+      loss,
+      classification,
+      missedWin,
+      pv: best.pv.map(formatAction),
+    });
+
+    state = applied.state;
+  }
+  return moves;
+}
+
+/**
+ * 採点した手からレポートをまとめます。
+ * @param {Object} game - 採点したゲーム状態
+ * @param {Array<Object>} moves - scoreGameMoves の結果（最初の手から順に）
+ * @returns {Object} レポート { version, startedAt, ruleset, winner, result, moves, summary }
+ */
+function summarizeGameReport(game, moves) {
+  const summary = {};
+  for (const color of ["black", "white"]) {
+    summary[color] = { moves: 0, inaccuracies: 0, mistakes: 0, blunders: 0, missedWins: 0, averageLoss: 0 };
+  }
+  for (const move of moves) {
+    const entry = summary[move.color];
+    entry.moves += 1;
+    entry.averageLoss += move.loss;
+    if (move.classification === "inaccuracy") entry.inaccuracies += 1;
+    if (move.classification === "mistake") entry.mistakes += 1;
+    if (move.classification === "blunder") entry.blunders += 1;
+    if (move.missedWin) entry.missedWins += 1;
+  }
+  for (const color of ["black", "white"]) {
+    const entry = summary[color];
+    entry.averageLoss = entry.moves > 0 ? Math.round(entry.averageLoss / entry.moves) : 0;
+  }
+
+  return {
+    version: REPORT_VERSION,
+    startedAt: game.startedAt || null,
+    ruleset: getRuleset(game.ruleset).id,
+    winner: game.winner || null,
+    result: game.result || null,
+    moves,
+    summary,
+  };
+}
+
+/**
+ * 対局の各手を採点したレポートを作成します。
+ * @param {Object} game - 終局した（または途中の）ゲーム状態（棋譜 moves を含む）
+ * @param {Object} [options={}] - 探索オプション（scoreGameMoves と同じ）
+ * @returns {Object} レポート { version, startedAt, ruleset, winner, result, moves, summary }
+ */
+function buildGameReport(game, options = {}) {
+  return summarizeGameReport(game, scoreGameMoves(game, options));
+}
+
+module.exports = {
+  REPORT_VERSION,
+  LOSS_THRESHOLDS,
+  scoreGameMoves,
+  summarizeGameReport,
+  buildGameReport,
+};
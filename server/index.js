@@ -12,18 +12,32 @@
 require("dotenv").config();
 
 const http = require("http");
+const os = require("os");
 const express = require("express");
 const session = require("express-session");
 const cors = require("cors");
 const bcrypt = require("bcrypt");
 const { Server } = require("socket.io");
 
-const { searchBestMove } = require("./ai");
+const { createCpuBudget } = require("./cpu-budget");
+const { createCpuPool } = require("./cpu-pool");
+const { summarizeGameReport } = require("./game-report");
+const { loadEngineDefinitions, createExternalEngines } = require("./external-engines");
+const {
+  CPU_LEVELS,
+  HINT_SEARCH,
+  MAX_HINT_CANDIDATES,
+  REPORT_SEARCH,
+  PONDER_SEARCH,
+  clampStrength,
+  strengthToConfig,
+} = require("./cpu-levels");
 
 const {
   initDb,
   listRooms,
   getRoom,
+  setRoomHints,
   createUser,
   getUserByLoginId,
   getUserById,
@@ -45,7 +59,14 @@ const {
   createWaitingState,
   normalizeState,
   applyAction,
-} = require("./game");
+  previewActions,
+  formatAction,
+  formatGameRecord,
+  decodePosition,
+  replayActions,
+  getOpponent,
+  RULESETS,
+} = require("@yonmoque/rules");
 
 // =============================================================================
 // 環境設定
@@ -58,6 +79,27 @@ const PORT = process.env.PORT ? Number(process.env.PORT) : 3001;
 const roomCountEnv = process.env.ROOM_COUNT ? Number(process.env.ROOM_COUNT) : 12;
 const ROOM_COUNT = Number.isFinite(roomCountEnv) ? roomCountEnv : 12;
 
+/** 1局の手数上限（環境変数、未設定時はルールモジュールのデフォルト） */
+const maxPliesEnv = process.env.MAX_PLIES ? Number(process.env.MAX_PLIES) : null;
+const MAX_PLIES = Number.isInteger(maxPliesEnv) && maxPliesEnv > 0 ? maxPliesEnv : undefined;
+
+/** CPU探索用ワーカーの数（環境変数、未設定時はCPUコア数-1、1〜4） */
+const cpuWorkersEnv = process.env.CPU_WORKERS ? Number(process.env.CPU_WORKERS) : null;
+const CPU_WORKERS = Number.isInteger(cpuWorkersEnv) && cpuWorkersEnv > 0
+  ? cpuWorkersEnv
+  : Math.max(1, Math.min(4, os.cpus().length - 1));
+
+/** CPU探索の待ち行列の上限（環境変数または32） */
+const cpuQueueEnv = process.env.CPU_QUEUE_LIMIT ? Number(process.env.CPU_QUEUE_LIMIT) : null;
+const CPU_QUEUE_LIMIT = Number.isInteger(cpuQueueEnv) && cpuQueueEnv >= 0 ? cpuQueueEnv : 32;
+
+/** ポンダーに使うCPU時間の予算（全ルーム合計でコア何個分か、環境変数または0.5、0で無効） */
+const cpuPonderEnv = process.env.CPU_PONDER_BUDGET ? Number(process.env.CPU_PONDER_BUDGET) : null;
+const CPU_PONDER_BUDGET = Number.isFinite(cpuPonderEnv) && cpuPonderEnv >= 0 ? cpuPonderEnv : 0.5;
+
+/** 外部エンジンの設定ファイル（環境変数、なければ外部エンジンなし） */
+const CPU_ENGINES_FILE = process.env.CPU_ENGINES_FILE || "";
+
 /** セッション暗号化キー（本番環境では必ず変更すること） */
 const SESSION_SECRET = process.env.SESSION_SECRET || "dev_secret_change_me";
 
@@ -97,31 +139,80 @@ async function ensureCpuUser() {
 }
 
 /**
- * CPUの難易度設定
- * - easy: 浅い探索、高速
- * - normal: 中程度
- * - hard: 深い探索
- * - strong: 最も強い設定
- * @type {Object<string, {maxDepth: number, timeLimitMs: number}>}
+ * ルームごとのCPU設定を保持するマップ
+ * - players: 色ごとのCPUの設定（CPUが座っていない色は null）
+ * - exhibition: 両方の席がCPUの対局（観戦用）か。勝敗を tally に数え、autoRestart なら終局後に次の対局を始める
+ * - running: false の間はCPUの準備完了を付けない（自動で再開しないCPU同士の対局が終わった後）
+ * - queueRetries: 待ち行列が満杯で続けて再試行した回数（探索を依頼できたら0に戻す）
+ * - failedSearches: 組み込みのCPUの探索が続けて失敗した回数（手を指せたら0に戻す）
+ * @type {Map<number, {players: {black: Object|null, white: Object|null}, exhibition: boolean, running: boolean,
+ *   delayMs: number, autoRestart: boolean, tally: {black: number, white: number, draw: number},
+ *   talliedStartedAt: string|null, queueRetries: number, failedSearches: number}>}
  */
-const CPU_LEVELS = {
-  easy: { maxDepth: 2, timeLimitMs: 120 },
-  normal: { maxDepth: 3, timeLimitMs: 240 },
-  hard: { maxDepth: 4, timeLimitMs: 420 },
-  strong: { maxDepth: 5, timeLimitMs: 700 },
-};
+const cpuRooms = new Map();
+
+/** CPUが手を指すまでの既定の待ち時間（ミリ秒、人らしく見せるため） */
+const CPU_MOVE_DELAY_MS = 350;
 
 /**
- * ルームごとのCPU設定を保持するマップ
+ * 待ち行列が満杯・探索の失敗のとき、CPUの手番を再試行するまでの最初の待ち時間
+ * （ミリ秒、続けて再試行するたびに倍にしていく）
+ */
+const CPU_RETRY_MS = 500;
+
+/** CPUの手番の再試行の間隔の上限（ミリ秒） */
+const MAX_CPU_RETRY_MS = 8000;
+
+/** 組み込みのCPUの探索が続けて失敗したとき、対局を終えるまでに再試行する回数 */
+const CPU_SEARCH_RETRY_LIMIT = 3;
+
+/** CPU同士の対局の手の間隔の上限（ミリ秒） */
+const MAX_EXHIBITION_DELAY_MS = 10000;
+
+/** CPU同士の対局で、終局から次の対局を始めるまでの待ち時間（ミリ秒） */
+const EXHIBITION_RESTART_MS = 3000;
+
+/** 対局後の解析レポートを1度にワーカーへ依頼する手数（CPUの手番やヒントに譲れるよう小分けにする） */
+const REPORT_CHUNK_PLIES = 4;
+
+/**
+ * CPUが思考中のルームIDと、その思考を識別するトークンを保持するマップ（重複実行防止用）
+ * 思考を取り消した後に古い探索結果が適用されないよう、トークンで照合する
  * @type {Map<number, Object>}
  */
-const cpuRooms = new Map();
+const cpuThinking = new Map();
+
+/**
+ * ルームごとのポンダー（人の手番の間の先読み）の状態
+ * 1回の手番で先読みするのは1度だけにするため、終わった後も局面（対局・手数）を覚えておく
+ * @type {Map<number, {token: Object, startedAt: string, ply: number, running: boolean}>}
+ */
+const cpuPondering = new Map();
+
+/**
+ * ルームごとの対局後の解析レポート（直近に終局した対局の分だけ、クライアントが求めたときに作る）
+ * status は "pending"（作成中）/ "ready" / "failed"
+ * @type {Map<number, {startedAt: string, status: string, report: Object|null, error: string|null}>}
+ */
+const gameReports = new Map();
+
+/**
+ * CPU探索用ワーカープール（探索中もイベントループを塞がない）
+ */
+const cpuPool = createCpuPool({ size: CPU_WORKERS, maxQueue: CPU_QUEUE_LIMIT });
+
+/**
+ * ポンダーに使うCPU時間の予算（全ルーム合計）
+ */
+const ponderBudget = createCpuBudget({ ratio: CPU_PONDER_BUDGET, burstMs: PONDER_SEARCH.maxMs * 2 });
+
+/** 同時に先読みするルーム数の上限（ワーカーを1つは人の手番への応答用に残す） */
+const CPU_PONDER_LIMIT = Math.max(1, CPU_WORKERS - 1);
 
 /**
- * CPUが思考中のルームIDを保持するセット（重複実行防止用）
- * @type {Set<number>}
+ * 外部エンジン（YEI プロトコルの実行ファイル）。CPUの席ごとに子プロセスを起動する
  */
-const cpuThinking = new Set();
+const externalEngines = createExternalEngines(loadEngineDefinitions(CPU_ENGINES_FILE));
 
 // =============================================================================
 // Express アプリケーション設定
@@ -376,6 +467,14 @@ app.get("/api/rooms", requireAuth, (req, res) => {
   res.json({ rooms: withPresence });
 });
 
+/**
+ * GET /api/engines
+ * CPUとして選べる外部エンジンの一覧を取得
+ */
+app.get("/api/engines", requireAuth, (req, res) => {
+  res.json({ engines: externalEngines.list() });
+});
+
 /**
  * GET /api/rooms/:roomId
  * 特定ルームの詳細情報を取得
@@ -389,7 +488,99 @@ app.get("/api/rooms/:roomId", requireAuth, (req, res) => {
   }
   const chat = getChatMessages(roomId);
   const game = getRoomGame(roomId);
-  res.json({ room, chat, game });
+  res.json({ room, chat, game, cpu: describeCpuRoom(roomId) });
+});
+
+/**
+ * GET /api/rooms/:roomId/record
+ * 現在（または直前）の対局の棋譜をテキストで取得
+ */
+app.get("/api/rooms/:roomId/record", requireAuth, (req, res) => {
+  const roomId = Number(req.params.roomId);
+  const room = getRoom(roomId);
+  if (!room) {
+    res.status(404).json({ error: "not_found" });
+    return;
+  }
+  const game = getRoomGame(roomId);
+  const record = formatGameRecord(game, {
+    black: room.seats.black ? room.seats.black.nickname || room.seats.black.loginId : null,
+    white: room.seats.white ? room.seats.white.nickname || room.seats.white.loginId : null,
+  });
+  res.type("text/plain").send(record);
+});
+
+/**
+ * GET /api/rooms/:roomId/legal-moves
+ * 手番のプレイヤーの合法手を反転プレビュー付きで取得
+ */
+app.get("/api/rooms/:roomId/legal-moves", requireAuth, (req, res) => {
+  const roomId = Number(req.params.roomId);
+  const room = getRoom(roomId);
+  if (!room) {
+    res.status(404).json({ error: "not_found" });
+    return;
+  }
+  res.json(getRoomLegalMoves(roomId));
+});
+
+/**
+ * GET /api/rooms/:roomId/report
+ * 直近に終局した対局の解析レポートを取得（まだなければ作成を始め、作成中は 202 で status: "pending"）
+ * レポートは誰かが求めたときだけ作る（見る人のいないCPU同士の対局などでワーカーを使わないため）
+ */
+app.get("/api/rooms/:roomId/report", requireAuth, (req, res) => {
+  const roomId = Number(req.params.roomId);
+  if (!getRoom(roomId)) {
+    res.status(404).json({ error: "not_found" });
+    return;
+  }
+  const game = getRoomGame(roomId);
+  if (game.status !== "finished" || !game.startedAt || game.moves.length === 0) {
+    res.status(404).json({ error: "no_report" });
+    return;
+  }
+  const entry = gameReports.get(roomId);
+  if (!entry || entry.startedAt !== game.startedAt) {
+    buildReportInBackground(roomId, game);
+    res.status(202).json({ status: "pending" });
+    return;
+  }
+  if (entry.status === "pending") {
+    res.status(202).json({ status: "pending" });
+    return;
+  }
+  if (entry.status === "failed") {
+    res.status(503).json({ status: "failed", error: entry.error });
+    return;
+  }
+  res.json({ status: "ready", report: entry.report });
+});
+
+/**
+ * GET /api/rooms/:roomId/hint?count=3[&ply=N | &position=局面文字列]
+ * 現在の局面（ply なら対局の N 手目を指した後、position なら指定した局面）の候補手（評価値と読み筋付き）を取得
+ */
+app.get("/api/rooms/:roomId/hint", requireAuth, async (req, res) => {
+  const roomId = Number(req.params.roomId);
+  const result = await analyzeRoomGame(roomId, `user:${req.session.userId}`, parseHintCount(req.query.count), {
+    ply: req.query.ply,
+    position: req.query.position,
+  });
+  if (!result.ok) {
+    const status = {
+      invalid_ply: 400,
+      invalid_position: 400,
+      not_found: 404,
+      hints_disabled: 403,
+      game_not_active: 409,
+      queue_full: 503,
+    }[result.error] || 500;
+    res.status(status).json({ error: result.error, reason: result.reason });
+    return;
+  }
+  const { ok, ...body } = result;
+  res.json(body);
 });
 
 // =============================================================================
@@ -486,12 +677,148 @@ function broadcastRooms() {
 // =============================================================================
 
 /**
- * ルームのCPU設定を取得
+ * ルームのCPU設定を作成して保存
  * @param {number} roomId - ルームID
- * @returns {Object|null} CPU設定またはnull
+ * @param {{black: Object|null, white: Object|null}} players - 色ごとのCPUの設定
+ * @param {Object} [options={}] - { delayMs, autoRestart }（CPU同士の対局の設定）
+ * @returns {Object} 保存したCPU設定
  */
-function getCpuConfig(roomId) {
-  return cpuRooms.get(roomId) || null;
+function setCpuRoom(roomId, players, options = {}) {
+  releaseExternalEngines(roomId);
+  const entry = {
+    players,
+    exhibition: Boolean(players.black && players.white),
+    running: true,
+    delayMs: Number.isInteger(options.delayMs) ? options.delayMs : CPU_MOVE_DELAY_MS,
+    autoRestart: Boolean(options.autoRestart),
+    tally: { black: 0, white: 0, draw: 0 },
+    talliedStartedAt: null,
+    queueRetries: 0,
+    failedSearches: 0,
+  };
+  cpuRooms.set(roomId, entry);
+  return entry;
+}
+
+/**
+ * 外部エンジンのキー（ルーム・CPUの色ごとに子プロセスを1つ起動する）
+ * @param {number} roomId - ルームID
+ * @param {'black'|'white'} color - CPUの色
+ * @returns {string} キー
+ */
+function externalEngineKey(roomId, color) {
+  return `${roomId}:${color}`;
+}
+
+/**
+ * ルームの外部エンジンの子プロセスを終了
+ * @param {number} roomId - ルームID
+ */
+function releaseExternalEngines(roomId) {
+  for (const color of ["black", "white"]) {
+    externalEngines.release(externalEngineKey(roomId, color));
+  }
+}
+
+/**
+ * CPUの指し手の設定を作成
+ * 外部エンジン（external: サーバーに設定されたエンジンID）があれば優先し、
+ * 次に数値の強さ（strength）、なければ難易度名（level）。どれもなければ strong
+ * @param {'black'|'white'} color - CPUの色
+ * @param {Object} [spec] - { external, level, strength, seed }
+ * @returns {{ok: true, config: Object}|{ok: false, error: string}} CPU設定またはエラー
+ */
+function createCpuPlayer(color, spec) {
+  const externalRaw = spec && spec.external;
+  if (externalRaw !== undefined && externalRaw !== null) {
+    const definition = externalEngines.get(externalRaw);
+    if (!definition) {
+      return { ok: false, error: "unknown_engine" };
+    }
+    return {
+      ok: true,
+      config: {
+        color,
+        level: null,
+        strength: null,
+        engine: "external",
+        external: definition.id,
+        timeLimitMs: definition.movetimeMs,
+      },
+    };
+  }
+
+  const levelRaw = spec && spec.level;
+  const strengthRaw = spec && spec.strength;
+  const seedRaw = spec && spec.seed;
+
+  const hasStrength = strengthRaw !== undefined && strengthRaw !== null;
+  if (hasStrength && !Number.isFinite(strengthRaw)) {
+    return { ok: false, error: "invalid_strength" };
+  }
+  if (seedRaw !== undefined && seedRaw !== null && !Number.isInteger(seedRaw)) {
+    return { ok: false, error: "invalid_seed" };
+  }
+
+  let level = null;
+  if (!hasStrength) {
+    level = CPU_LEVELS[levelRaw] ? levelRaw : "strong";
+  }
+  const strength = hasStrength ? clampStrength(strengthRaw) : null;
+  return {
+    ok: true,
+    config: {
+      color,
+      level,
+      strength,
+      ...(hasStrength ? strengthToConfig(strength) : CPU_LEVELS[level]),
+      // 手選びのゆらぎのシード（指定すると同じ手順に同じ手を返す）
+      seed: Number.isInteger(seedRaw) ? seedRaw : null,
+    },
+  };
+}
+
+/**
+ * クライアントに送るCPU設定（ルームにCPUがいなければnull）
+ * @param {number} roomId - ルームID
+ * @returns {Object|null} { exhibition, delayMs, autoRestart, tally, players }
+ *   players は色ごとの { level, strength, engine, external }（CPUでない色は null、external は外部エンジンの { id, name }）
+ */
+function describeCpuRoom(roomId) {
+  const entry = cpuRooms.get(roomId);
+  if (!entry) {
+    return null;
+  }
+  const players = {};
+  for (const color of ["black", "white"]) {
+    const config = entry.players[color];
+    if (!config) {
+      players[color] = null;
+      continue;
+    }
+    const definition = config.external ? externalEngines.get(config.external) : null;
+    players[color] = {
+      level: config.level,
+      strength: config.strength,
+      engine: config.engine,
+      external: definition ? { id: definition.id, name: definition.name } : null,
+    };
+  }
+  return {
+    exhibition: entry.exhibition,
+    delayMs: entry.delayMs,
+    autoRestart: entry.autoRestart,
+    tally: { ...entry.tally },
+    players,
+  };
+}
+
+/**
+ * ルーム内の全クライアントにCPU設定を通知
+ * @param {number} roomId - ルームID
+ */
+function broadcastCpuState(roomId) {
+  io.to(`room:${roomId}`).emit("cpu:state", { roomId, cpu: describeCpuRoom(roomId) });
 }
 
 /**
@@ -501,8 +828,8 @@ function getCpuConfig(roomId) {
  * @returns {Object} 更新されたゲーム状態
  */
 function applyCpuReady(roomId, game) {
-  const config = getCpuConfig(roomId);
-  if (!config || !config.enabled) {
+  const entry = cpuRooms.get(roomId);
+  if (!entry || !entry.running) {
     return game;
   }
   // プレイ中は変更しない
@@ -511,9 +838,8 @@ function applyCpuReady(roomId, game) {
   }
   // CPUの準備完了を設定
   game.ready = {
-    black: Boolean(game.ready?.black),
-    white: Boolean(game.ready?.white),
-    [config.color]: true,
+    black: Boolean(game.ready?.black) || Boolean(entry.players.black),
+    white: Boolean(game.ready?.white) || Boolean(entry.players.white),
   };
   return game;
 }
@@ -529,19 +855,231 @@ function getRoomGame(roomId) {
   return applyCpuReady(roomId, game);
 }
 
+/**
+ * 手番のプレイヤーの合法手を反転プレビュー付きで取得
+ * @param {number} roomId - ルームID
+ * @returns {Object} { status, turn, ply, actions }
+ */
+function getRoomLegalMoves(roomId) {
+  const game = getRoomGame(roomId);
+  return {
+    status: game.status,
+    turn: game.status === "playing" ? game.turn : null,
+    ply: game.moves.length,
+    actions: previewActions(game, game.turn),
+  };
+}
+
+/**
+ * ヒントの候補手の数を 1〜MAX_HINT_CANDIDATES に丸める（未指定なら3）
+ * @param {*} value - 指定値
+ * @returns {number} 候補手の数
+ */
+function parseHintCount(value) {
+  const count = Number(value);
+  if (!Number.isInteger(count)) {
+    return Math.min(3, MAX_HINT_CANDIDATES);
+  }
+  return Math.max(1, Math.min(MAX_HINT_CANDIDATES, count));
+}
+
+/**
+ * ヒントで解析する局面を決める
+ * - ply: ルームの対局の最初から ply 手目までを再現した局面（0〜手数の整数。終局後の振り返りにも使える）
+ * - position: 局面文字列（decodePosition の形式）の局面。対局の履歴は持たないため千日手は数えない
+ * - どちらもなければルームの現在の局面
+ * どの場合も、手番側が指せる対局中の局面でなければ game_not_active
+ * @param {Object} game - ルームのゲーム状態
+ * @param {Object} [target={}] - { ply, position }（クライアントから受け取った値）
+ * @returns {Object} { ok: true, state, ply } または { ok: false, error }（ply は position のときnull）
+ */
+function resolveHintPosition(game, target = {}) {
+  const { ply, position } = target;
+  let state = game;
+  let resolvedPly = game.moves.length;
+
+  if (position !== undefined && position !== null) {
+    const decoded = decodePosition(position);
+    if (!decoded.ok) {
+      return { ok: false, error: "invalid_position", reason: decoded.error };
+    }
+    state = decoded.state;
+    resolvedPly = null;
+  } else if (ply !== undefined && ply !== null) {
+    const index = /^\d+$/.test(String(ply)) ? Number(ply) : -1;
+    if (index < 0 || index > game.moves.length) {
+      return { ok: false, error: "invalid_ply" };
+    }
+    const replayed = replayActions(game.moves.slice(0, index), { ruleset: game.ruleset, maxPlies: game.maxPlies });
+    if (!replayed.ok) {
+      return { ok: false, error: "invalid_ply" };
+    }
+    state = replayed.state;
+    resolvedPly = index;
+  }
+
+  if (state.status !== "playing") {
+    return { ok: false, error: "game_not_active" };
+  }
+  return { ok: true, state, ply: resolvedPly };
+}
+
+/**
+ * ルームの局面を解析し、手番側の候補手を評価値の高い順に返す（ヒント・評価バー用）
+ * 同じ依頼元の前回の解析がまだ終わっていなければ取り消す
+ * @param {number} roomId - ルームID
+ * @param {string} requester - 依頼元の識別子
+ * @param {number} count - 候補手の数
+ * @param {Object} [target={}] - 解析する局面の指定 { ply, position }（resolveHintPosition を参照）
+ * @returns {Promise<Object>} { ok: true, turn, ply, depth, blackScore, candidates } または { ok: false, error }
+ *   score は手番側から見た評価値、blackScore は最善手の評価値を黒から見た値
+ */
+async function analyzeRoomGame(roomId, requester, count, target = {}) {
+  const room = getRoom(roomId);
+  if (!room) {
+    return { ok: false, error: "not_found" };
+  }
+  if (!room.hintsEnabled) {
+    return { ok: false, error: "hints_disabled" };
+  }
+
+  const resolved = resolveHintPosition(getRoomGame(roomId), target);
+  if (!resolved.ok) {
+    return resolved;
+  }
+  const { state, ply } = resolved;
+
+  const result = await cpuPool.analyze(`hint:${roomId}:${requester}`, state, { ...HINT_SEARCH, count });
+  if (!result.ok) {
+    return result;
+  }
+
+  const { turn, depth, candidates } = result.analysis;
+  const formatted = candidates.map((candidate) => ({
+    action: {
+      type: candidate.action.type,
+      color: candidate.action.color,
+      from: candidate.action.from || null,
+      to: candidate.action.to,
+    },
+    notation: formatAction(candidate.action),
+    score: candidate.score,
+    pv: candidate.pv.map(formatAction),
+  }));
+  const best = formatted[0];
+  return {
+    ok: true,
+    turn,
+    ply,
+    depth,
+    blackScore: best ? (turn === "black" ? best.score : -best.score) : 0,
+    candidates: formatted,
+  };
+}
+
 /**
  * ゲーム状態を保存し、ルーム内の全クライアントに通知
+ * 進行中のCPUの思考は取り消される（必要なら呼び出し側で maybeRunCpuTurn する）
  * @param {number} roomId - ルームID
  * @param {Object} game - ゲーム状態
  * @returns {Object} 保存されたゲーム状態
  */
 function broadcastGame(roomId, game) {
+  // 局面が変わるので、古い局面に対するCPUの思考と先読みは取り消す
+  cancelCpuTurn(roomId);
+  stopPondering(roomId);
+  // CPU同士の対局の集計（自動で再開しないなら、準備完了を付ける前にCPUを止める）
+  if (game.status === "finished") {
+    recordExhibitionResult(roomId, game);
+  }
   const next = applyCpuReady(roomId, game);
   saveGame(roomId, next);
   io.to(`room:${roomId}`).emit("game:state", { roomId, game: next });
   return next;
 }
 
+/**
+ * CPU同士の対局の結果を集計し、自動で再開する設定なら少し待って次の対局を始める
+ * 同じ対局を二度数えないよう、集計した対局の開始時刻を覚えておく
+ * @param {number} roomId - ルームID
+ * @param {Object} game - 終局したゲーム状態
+ */
+function recordExhibitionResult(roomId, game) {
+  const entry = cpuRooms.get(roomId);
+  if (!entry || !entry.exhibition || !game.startedAt || entry.talliedStartedAt === game.startedAt) {
+    return;
+  }
+  entry.talliedStartedAt = game.startedAt;
+  if (game.result !== "aborted") {
+    entry.tally[game.winner || "draw"] += 1;
+  }
+  broadcastCpuState(roomId);
+
+  if (!entry.autoRestart) {
+    // 自動で再開しないなら、次の対局は設定し直すまで始めない
+    entry.running = false;
+    return;
+  }
+  setTimeout(() => {
+    // 待っている間に設定が変わった・止められた・誰かが始めた場合は何もしない
+    if (cpuRooms.get(roomId) !== entry || getRoomGame(roomId).status === "playing") {
+      return;
+    }
+    const started = startGameIfReady(roomId);
+    if (started) {
+      io.to(`room:${roomId}`).emit("room:state", { room: getRoom(roomId), game: started });
+      maybeRunCpuTurn(roomId);
+    }
+  }, EXHIBITION_RESTART_MS);
+}
+
+/**
+ * 終局した対局の解析レポートをワーカーで作成し、できたらルーム内に通知（game:report）
+ * REPORT_CHUNK_PLIES 手ずつ依頼し、CPUの手番やヒントに譲って打ち切られた範囲は依頼し直す
+ * 次の対局が始まったら作成をやめる
+ * @param {number} roomId - ルームID
+ * @param {Object} game - 終局したゲーム状態
+ */
+async function buildReportInBackground(roomId, game) {
+  const entry = { startedAt: game.startedAt, status: "pending", report: null, error: null };
+  gameReports.set(roomId, entry);
+
+  const moves = [];
+  while (moves.length < game.moves.length) {
+    const fromPly = moves.length + 1;
+    const result = await cpuPool.report(`report:${roomId}`, game, {
+      ...REPORT_SEARCH,
+      fromPly,
+      toPly: fromPly + REPORT_CHUNK_PLIES - 1,
+    });
+
+    // 作成中に次の対局が始まっていたら、古いレポートは捨てる
+    if (gameReports.get(roomId) !== entry) {
+      return;
+    }
+    if (getRoomGame(roomId).startedAt !== game.startedAt) {
+      gameReports.delete(roomId);
+      return;
+    }
+    if (!result.ok && result.error === "cancelled") {
+      continue;
+    }
+    if (!result.ok) {
+      gameReports.set(roomId, { ...entry, status: "failed", error: result.error });
+      return;
+    }
+    // 棋譜の再現が途中で止まった（終局後の手など）ら、そこまでの手でまとめる
+    if (result.moves.length === 0) {
+      break;
+    }
+    moves.push(...result.moves);
+  }
+
+  const report = summarizeGameReport(game, moves);
+  gameReports.set(roomId, { ...entry, status: "ready", report });
+  io.to(`room:${roomId}`).emit("game:report", { roomId, report });
+}
+
 /**
  * 両プレイヤーが準備完了したらゲームを開始
  * @param {number} roomId - ルームID
@@ -565,7 +1103,7 @@ function startGameIfReady(roomId) {
   // 両者準備完了ならゲーム開始
   const ready = withCpu.ready || { black: false, white: false };
   if (ready.black && ready.white) {
-    const game = createNewGameState();
+    const game = createNewGameState({ ruleset: withCpu.ruleset, maxPlies: MAX_PLIES });
     return broadcastGame(roomId, game);
   }
 
@@ -613,7 +1151,7 @@ function setReady(roomId, color, value) {
 
   // 両者準備完了ならゲーム開始
   if (room && room.status === "playing" && game.ready.black && game.ready.white) {
-    const next = createNewGameState();
+    const next = createNewGameState({ ruleset: game.ruleset, maxPlies: MAX_PLIES });
     broadcastGame(roomId, next);
     return { ok: true, game: next, started: true };
   }
@@ -625,26 +1163,200 @@ function setReady(roomId, color, value) {
 /**
  * CPUが座っている座席の色を取得
  * @param {Object} room - ルームオブジェクト
- * @returns {'black'|'white'|null} CPUの座席の色またはnull
+ * @returns {Array<'black'|'white'>} CPUの座席の色（CPU同士の対局では両方）
  */
-function getCpuSeatColor(room) {
-  if (room?.seats?.black?.userId === cpuUserId) {
-    return "black";
+function getCpuSeatColors(room) {
+  return ["black", "white"].filter((color) => room?.seats?.[color]?.userId === cpuUserId);
+}
+
+/**
+ * ルームのCPUをすべて離席させ、CPU設定を消す
+ * @param {number} roomId - ルームID
+ * @returns {Array<'black'|'white'>} 離席させた席の色
+ */
+function releaseCpuSeats(roomId) {
+  const colors = getCpuSeatColors(getRoom(roomId));
+  for (const color of colors) {
+    releaseSeat(roomId, color, cpuUserId);
   }
-  if (room?.seats?.white?.userId === cpuUserId) {
-    return "white";
+  releaseExternalEngines(roomId);
+  if (cpuRooms.delete(roomId)) {
+    broadcastCpuState(roomId);
   }
-  return null;
+  return colors;
+}
+
+/**
+ * ルームで進行中のCPUの思考を取り消す
+ * 待機中・探索中の依頼を破棄し、古い局面の結果が適用されないようにする
+ * @param {number} roomId - ルームID
+ */
+function cancelCpuTurn(roomId) {
+  if (!cpuThinking.has(roomId)) {
+    return;
+  }
+  cpuThinking.delete(roomId);
+  cpuPool.cancel(roomId);
+  for (const color of ["black", "white"]) {
+    externalEngines.cancel(externalEngineKey(roomId, color));
+  }
+}
+
+/**
+ * CPUのワーカー内のトランスポジションテーブルのキー（同じ対局・同じ色の間は使い回す）
+ * @param {number} roomId - ルームID
+ * @param {Object} game - ゲーム状態
+ * @param {'black'|'white'} color - CPUの色
+ * @returns {string} テーブルのキー
+ */
+function cpuTableKey(roomId, game, color) {
+  return `${roomId}:${game.startedAt}:${color}`;
+}
+
+/**
+ * ルームで実行中の先読みを打ち切る
+ * 読んだ結果はワーカー内のテーブルに残る
+ * @param {number} roomId - ルームID
+ */
+function stopPondering(roomId) {
+  const entry = cpuPondering.get(roomId);
+  if (!entry || !entry.running) {
+    return;
+  }
+  entry.running = false;
+  cpuPool.cancel(`ponder:${roomId}`);
+}
+
+/**
+ * 人の手番の間に、CPUが応手の後の局面を先読みする
+ * 全ルーム合計の予算（ponderBudget）と同時実行数の範囲で、1回の手番につき1度だけ行う
+ * @param {number} roomId - ルームID
+ * @param {Object} config - CPU設定
+ * @param {Object} game - 人の手番のゲーム状態
+ */
+function maybeStartPondering(roomId, config, game) {
+  if (config.engine !== "alphabeta" || !config.maxDepth || config.threatDepth !== undefined) {
+    return;
+  }
+
+  const previous = cpuPondering.get(roomId);
+  if (previous && previous.startedAt === game.startedAt && previous.ply === game.moves.length) {
+    return;
+  }
+  const running = [...cpuPondering.values()].filter((entry) => entry.running).length;
+  if (running >= CPU_PONDER_LIMIT) {
+    return;
+  }
+
+  const granted = ponderBudget.reserve(PONDER_SEARCH.maxMs, PONDER_SEARCH.minMs);
+  if (granted === 0) {
+    return;
+  }
+
+  const entry = { token: {}, startedAt: game.startedAt, ply: game.moves.length, running: true };
+  cpuPondering.set(roomId, entry);
+  const started = Date.now();
+  cpuPool
+    .ponder(`ponder:${roomId}`, game, config.color, {
+      maxDepth: config.maxDepth,
+      timeLimitMs: granted,
+      tableKey: cpuTableKey(roomId, game, config.color),
+    })
+    .then(() => {
+      // 打ち切った・早く読み終えた分の時間は予算に返す
+      ponderBudget.refund(granted - (Date.now() - started));
+      entry.running = false;
+    });
+}
+
+/**
+ * CPUの最善手を探索（外部エンジンなら子プロセス、それ以外はワーカープール）
+ * @param {number} roomId - ルームID
+ * @param {Object} game - CPUの手番のゲーム状態
+ * @param {Object} config - CPU設定
+ * @returns {Promise<Object>} { ok, action } / { ok: false, error }
+ */
+function searchCpuMove(roomId, game, config) {
+  if (config.engine === "external") {
+    return externalEngines.search(externalEngineKey(roomId, config.color), config.external, game, config.color, {
+      timeLimitMs: config.timeLimitMs,
+    });
+  }
+  return cpuPool.search(roomId, game, config.color, {
+    engine: config.engine,
+    maxDepth: config.maxDepth,
+    timeLimitMs: config.timeLimitMs,
+    endgame: Boolean(config.endgame),
+    playout: config.playout,
+    threatDepth: config.threatDepth,
+    temperature: config.temperature,
+    blunderRate: config.blunderRate,
+    // シードの指定がなければ対局ごとに変わる開始時刻を使う（同じ対局の中では再現できる）
+    seed: config.seed ?? game.startedAt,
+    // 同じ対局・同じ色の間はワーカー内のテーブルを使い回す（threatDepth があると使い回せないので渡さない）
+    tableKey: config.threatDepth === undefined ? cpuTableKey(roomId, game, config.color) : undefined,
+  });
+}
+
+/**
+ * CPUが手を返せなかった（外部エンジンの時間切れ・異常終了・不正な手、組み込みのCPUの再試行しても続く失敗）とき、
+ * そのCPUの負けで対局を終える
+ * @param {number} roomId - ルームID
+ * @param {Object} game - ゲーム状態
+ * @param {'black'|'white'} color - 手を返せなかったCPUの色
+ */
+function endGameByEngineError(roomId, game, color) {
+  game.status = "finished";
+  game.winner = getOpponent(color);
+  game.result = "engine_error";
+  game.ready = { black: false, white: false };
+  const next = broadcastGame(roomId, game);
+  io.to(`room:${roomId}`).emit("room:state", { room: getRoom(roomId), game: next });
+}
+
+/**
+ * CPUの手番を再試行するまでの待ち時間を返す
+ * @param {number} attempt - これまでに続けて再試行した回数
+ * @param {number} delay - CPUが手を指すまでの待ち時間（ミリ秒）
+ * @returns {number} 待ち時間（ミリ秒）
+ */
+function cpuRetryDelay(attempt, delay) {
+  return Math.max(delay, Math.min(MAX_CPU_RETRY_MS, CPU_RETRY_MS * 2 ** attempt));
+}
+
+/**
+ * 組み込みのCPUの探索が失敗した（ワーカーの異常・手が見つからない・適用できない手）とき、間隔を広げながら再試行する
+ * CPU_SEARCH_RETRY_LIMIT 回再試行しても失敗するなら、手番のまま止まらないよう、そのCPUの負けで対局を終える
+ * @param {number} roomId - ルームID
+ * @param {Object} entry - ルームのCPU設定
+ * @param {'black'|'white'} color - 手を返せなかったCPUの色
+ * @param {string} error - 失敗の理由（ログ用）
+ */
+function retryFailedCpuTurn(roomId, entry, color, error) {
+  const game = getRoomGame(roomId);
+  if (game.status !== "playing" || game.turn !== color) {
+    return;
+  }
+  if (entry.failedSearches >= CPU_SEARCH_RETRY_LIMIT) {
+    console.warn(`CPU search failed in room ${roomId}: ${error}, giving up`);
+    entry.failedSearches = 0;
+    endGameByEngineError(roomId, game, color);
+    return;
+  }
+  console.warn(`CPU search failed in room ${roomId}: ${error}, retrying`);
+  const wait = cpuRetryDelay(entry.failedSearches, entry.delayMs);
+  entry.failedSearches += 1;
+  setTimeout(() => maybeRunCpuTurn(roomId), wait);
 }
 
 /**
  * CPUの手番なら思考を開始
- * 非同期で実行され、最善手を探索して適用する
+ * 探索はワーカープールで実行し、結果が返った時点で局面が変わっていなければ適用する
  * @param {number} roomId - ルームID
  */
 function maybeRunCpuTurn(roomId) {
-  const config = getCpuConfig(roomId);
-  if (!config || !config.enabled) {
+  const entry = cpuRooms.get(roomId);
+  if (!entry) {
     return;
   }
 
@@ -654,20 +1366,36 @@ function maybeRunCpuTurn(roomId) {
   }
 
   const game = getRoomGame(roomId);
+  if (game.status !== "playing") {
+    return;
+  }
 
-  // CPUの手番でなければ何もしない
-  if (game.status !== "playing" || game.turn !== config.color) {
+  // CPUの手番でなければ何もしない（人の手番なら相手側のCPUが先読みする）
+  const config = entry.players[game.turn];
+  if (!config) {
+    const waiting = entry.players[game.turn === "black" ? "white" : "black"];
+    if (waiting) {
+      maybeStartPondering(roomId, waiting, game);
+    }
     return;
   }
 
-  // 思考開始をマーク
-  cpuThinking.add(roomId);
+  // 思考開始をマーク（取り消し判定用のトークン）
+  const token = {};
+  cpuThinking.set(roomId, token);
 
-  // 少し遅延を入れて人間らしく見せる
-  const delay = Number.isFinite(config.delayMs) ? config.delayMs : 350;
+  /** この思考がまだ有効か（取り消されていないか） */
+  const isCurrent = () => cpuThinking.get(roomId) === token;
 
-  setTimeout(() => {
+  // 少し遅延を入れて人間らしく見せる（CPU同士の対局では観戦しやすい間隔）
+  const delay = entry.delayMs;
+
+  setTimeout(async () => {
     try {
+      if (!isCurrent()) {
+        return;
+      }
+
       const room = getRoom(roomId);
       const current = getRoomGame(roomId);
 
@@ -683,18 +1411,66 @@ function maybeRunCpuTurn(roomId) {
       }
 
       // 最善手を探索
-      const action = searchBestMove(current, config.color, config);
+      const searched = await searchCpuMove(roomId, current, config);
+
+      // 探索中に取り消された場合は何もしない
+      if (!isCurrent()) {
+        return;
+      }
+
+      // 依頼できたら満杯の再試行を数え直す
+      if (searched.error !== "queue_full") {
+        entry.queueRetries = 0;
+      }
+      if (!searched.ok) {
+        cpuThinking.delete(roomId);
+        if (searched.error === "queue_full") {
+          // 混雑時は間隔を広げながら再試行（警告は満杯が続く間で1度だけ）
+          if (entry.queueRetries === 0) {
+            console.warn(`CPU queue is full, retrying room ${roomId}`);
+          }
+          const wait = cpuRetryDelay(entry.queueRetries, delay);
+          entry.queueRetries += 1;
+          setTimeout(() => maybeRunCpuTurn(roomId), wait);
+        } else if (searched.error !== "cancelled") {
+          if (config.engine === "external") {
+            console.warn(`CPU search failed in room ${roomId}: ${searched.error}`);
+            endGameByEngineError(roomId, current, config.color);
+          } else {
+            retryFailedCpuTurn(roomId, entry, config.color, searched.error);
+          }
+        }
+        return;
+      }
+
+      const action = searched.action;
       if (!action) {
+        // 手詰まりはapplyActionで終局になるため、ここに来るのは想定外
+        cpuThinking.delete(roomId);
+        retryFailedCpuTurn(roomId, entry, config.color, "no_action");
+        return;
+      }
+
+      // 探索中に局面が進んでいたら結果を捨てる
+      const latest = getRoomGame(roomId);
+      if (
+        latest.status !== "playing" ||
+        latest.startedAt !== current.startedAt ||
+        latest.moves.length !== current.moves.length
+      ) {
         cpuThinking.delete(roomId);
+        maybeRunCpuTurn(roomId);
         return;
       }
 
       // 手を適用
-      const result = applyAction(current, action);
+      const result = applyAction(latest, action);
       if (!result.ok) {
         cpuThinking.delete(roomId);
+        retryFailedCpuTurn(roomId, entry, config.color, result.error);
         return;
       }
+      entry.failedSearches = 0;
 
       // ゲーム終了時は準備状態をリセット
       if (result.state.status === "finished") {
@@ -702,18 +1478,20 @@ function maybeRunCpuTurn(roomId) {
       }
 
       // 結果を通知
+      cpuThinking.delete(roomId);
       const next = broadcastGame(roomId, result.state);
       io.to(`room:${roomId}`).emit("room:state", { room, game: next });
 
-      cpuThinking.delete(roomId);
-
       // 連続手番（相手がパスの場合など）に対応
       if (next.status === "playing") {
         maybeRunCpuTurn(roomId);
       }
     } catch (error) {
       console.error("CPU turn error:", error);
-      cpuThinking.delete(roomId);
+      if (isCurrent()) {
+        cpuThinking.delete(roomId);
+        retryFailedCpuTurn(roomId, entry, config.color, "turn_error");
+      }
     }
   }, delay);
 }
@@ -793,12 +1571,7 @@ function releaseUserSeats(userId) {
 
   for (const seat of released) {
     // 人が離席したらCPUも一緒に離席させる
-    const roomBeforeCpuRelease = getRoom(seat.roomId);
-    const cpuColor = getCpuSeatColor(roomBeforeCpuRelease);
-    if (cpuColor) {
-      releaseSeat(seat.roomId, cpuColor, cpuUserId);
-      cpuRooms.delete(seat.roomId);
-    }
+    releaseCpuSeats(seat.roomId);
 
     const room = getRoom(seat.roomId);
     if (room) {
@@ -879,7 +1652,7 @@ io.on("connection", async (socket) => {
     const chat = getChatMessages(roomId);
     const game = startGameIfReady(roomId) || getRoomGame(roomId);
     if (ack) {
-      ack({ ok: true, state: { room, chat, game } });
+      ack({ ok: true, state: { room, chat, game, cpu: describeCpuRoom(roomId) } });
     }
 
     // プレゼンス更新を通知
@@ -959,12 +1732,7 @@ io.on("connection", async (socket) => {
     }
 
     // 人が離席したらCPUも一緒に離席させる
-    const roomBeforeCpuRelease = getRoom(roomId);
-    const cpuColor = getCpuSeatColor(roomBeforeCpuRelease);
-    if (cpuColor) {
-      releaseSeat(roomId, cpuColor, cpuUserId);
-      cpuRooms.delete(roomId);
-    }
+    releaseCpuSeats(roomId);
 
     const room = getRoom(roomId);
     let game = getRoomGame(roomId);
@@ -997,7 +1765,6 @@ io.on("connection", async (socket) => {
     const roomId = Number(payload && payload.roomId);
     const enabled = Boolean(payload && payload.enabled);
     const color = payload && payload.color;
-    const levelRaw = payload && payload.level;
 
     if (!roomId) {
       if (ack) ack({ ok: false, error: "invalid_room" });
@@ -1020,21 +1787,26 @@ io.on("connection", async (socket) => {
       return;
     }
 
+    // CPU同士の対局は cpu:exhibition で止める
+    const existing = cpuRooms.get(roomId);
+    if (existing && existing.exhibition) {
+      if (ack) ack({ ok: false, error: "exhibition_running" });
+      return;
+    }
+
     // --- CPU無効化 ---
     if (!enabled) {
-      const cpuColor = getCpuSeatColor(room);
-      if (cpuColor) {
-        releaseSeat(roomId, cpuColor, cpuUserId);
-      }
-      cpuRooms.delete(roomId);
+      const released = releaseCpuSeats(roomId);
 
       let nextGame = getRoomGame(roomId);
-      if (cpuColor) {
+      if (released.length > 0) {
         nextGame.ready = {
           black: Boolean(nextGame.ready?.black),
           white: Boolean(nextGame.ready?.white),
-          [cpuColor]: false,
         };
+        for (const cpuColor of released) {
+          nextGame.ready[cpuColor] = false;
+        }
       }
 
       const nextRoom = getRoom(roomId);
@@ -1053,6 +1825,11 @@ io.on("connection", async (socket) => {
       if (ack) ack({ ok: false, error: "invalid_color" });
       return;
     }
+    const player = createCpuPlayer(color, payload);
+    if (!player.ok) {
+      if (ack) ack({ ok: false, error: player.error });
+      return;
+    }
 
     // 指定席が埋まっている場合はエラー
     const targetSeat = room.seats[color];
@@ -1062,9 +1839,10 @@ io.on("connection", async (socket) => {
     }
 
     // 既存のCPU席があれば解放
-    const existingCpuColor = getCpuSeatColor(room);
-    if (existingCpuColor && existingCpuColor !== color) {
-      releaseSeat(roomId, existingCpuColor, cpuUserId);
+    for (const existingCpuColor of getCpuSeatColors(room)) {
+      if (existingCpuColor !== color) {
+        releaseSeat(roomId, existingCpuColor, cpuUserId);
+      }
     }
 
     // CPUを着席させる
@@ -1074,15 +1852,7 @@ io.on("connection", async (socket) => {
       return;
     }
 
-    // 難易度設定
-    const level = CPU_LEVELS[levelRaw] ? levelRaw : "strong";
-    cpuRooms.set(roomId, {
-      enabled: true,
-      color,
-      level,
-      delayMs: 350,
-      ...CPU_LEVELS[level],
-    });
+    setCpuRoom(roomId, { black: null, white: null, [color]: player.config });
 
     let nextGame = getRoomGame(roomId);
     if (nextGame.status !== "playing") {
@@ -1101,12 +1871,108 @@ io.on("connection", async (socket) => {
       game: started || broadcasted,
     });
     broadcastRooms();
+    broadcastCpuState(roomId);
     if (ack) ack({ ok: true });
 
     // ゲーム開始後、CPUの手番なら思考開始
     maybeRunCpuTurn(roomId);
   });
 
+  // -------------------------------------------------------------------------
+  // cpu:exhibition - CPU同士の対局（観戦用）
+  // -------------------------------------------------------------------------
+  socket.on("cpu:exhibition", (payload, ack) => {
+    const roomId = Number(payload && payload.roomId);
+    const enabled = Boolean(payload && payload.enabled);
+    const delayRaw = payload && payload.delayMs;
+
+    if (!roomId) {
+      if (ack) ack({ ok: false, error: "invalid_room" });
+      return;
+    }
+    if (socket.data.roomId !== roomId) {
+      if (ack) ack({ ok: false, error: "not_in_room" });
+      return;
+    }
+
+    const room = getRoom(roomId);
+    if (!room) {
+      if (ack) ack({ ok: false, error: "not_found" });
+      return;
+    }
+
+    const existing = cpuRooms.get(roomId);
+    const game = getRoomGame(roomId);
+
+    // --- 停止（対局中なら勝敗なしで打ち切る） ---
+    if (!enabled) {
+      if (!existing || !existing.exhibition) {
+        if (ack) ack({ ok: false, error: "no_exhibition" });
+        return;
+      }
+      releaseCpuSeats(roomId);
+      if (game.status === "playing") {
+        game.status = "finished";
+        game.winner = null;
+        game.result = "aborted";
+      }
+      game.ready = { black: false, white: false };
+      const broadcasted = broadcastGame(roomId, game);
+      io.to(`room:${roomId}`).emit("room:state", { room: getRoom(roomId), game: broadcasted });
+      broadcastRooms();
+      if (ack) ack({ ok: true });
+      return;
+    }
+
+    // --- 開始（設定し直すと集計はリセット） ---
+    if (game.status === "playing") {
+      if (ack) ack({ ok: false, error: "game_in_progress" });
+      return;
+    }
+    for (const color of ["black", "white"]) {
+      const seat = room.seats[color];
+      if (seat && seat.userId !== cpuUserId) {
+        if (ack) ack({ ok: false, error: "seat_taken" });
+        return;
+      }
+    }
+    const hasDelay = delayRaw !== undefined && delayRaw !== null;
+    if (hasDelay && (!Number.isInteger(delayRaw) || delayRaw < 0 || delayRaw > MAX_EXHIBITION_DELAY_MS)) {
+      if (ack) ack({ ok: false, error: "invalid_delay" });
+      return;
+    }
+
+    const players = {};
+    for (const color of ["black", "white"]) {
+      const player = createCpuPlayer(color, payload[color]);
+      if (!player.ok) {
+        if (ack) ack({ ok: false, error: player.error });
+        return;
+      }
+      players[color] = player.config;
+    }
+
+    for (const color of ["black", "white"]) {
+      assignSeat(roomId, color, cpuUserId, cpuUserInfo, { allowBothSeats: true });
+    }
+    setCpuRoom(roomId, players, {
+      delayMs: hasDelay ? delayRaw : CPU_MOVE_DELAY_MS,
+      autoRestart: Boolean(payload.autoRestart),
+    });
+
+    const broadcasted = broadcastGame(roomId, getRoomGame(roomId));
+    const started = startGameIfReady(roomId);
+    io.to(`room:${roomId}`).emit("room:state", {
+      room: getRoom(roomId),
+      game: started || broadcasted,
+    });
+    broadcastRooms();
+    broadcastCpuState(roomId);
+    if (ack) ack({ ok: true });
+
+    maybeRunCpuTurn(roomId);
+  });
+
   // -------------------------------------------------------------------------
   // game:place / game:move - 駒を打つ / 移動する
   // -------------------------------------------------------------------------
@@ -1198,6 +2064,95 @@ io.on("connection", async (socket) => {
     handleGameAction("move", payload, ack);
   });
 
+  // -------------------------------------------------------------------------
+  // game:legal-moves - 手番のプレイヤーの合法手を取得
+  // -------------------------------------------------------------------------
+  socket.on("game:legal-moves", (payload, ack) => {
+    if (!ack) return;
+    const roomId = Number(payload && payload.roomId);
+    if (!roomId) {
+      ack({ ok: false, error: "invalid_room" });
+      return;
+    }
+    if (socket.data.roomId !== roomId) {
+      ack({ ok: false, error: "not_in_room" });
+      return;
+    }
+
+    if (!getRoom(roomId)) {
+      ack({ ok: false, error: "not_found" });
+      return;
+    }
+
+    ack({ ok: true, ...getRoomLegalMoves(roomId) });
+  });
+
+  // -------------------------------------------------------------------------
+  // game:hint - 局面の候補手を取得（ヒント・評価バー用。ply / position で局面を指定できる）
+  // -------------------------------------------------------------------------
+  socket.on("game:hint", async (payload, ack) => {
+    if (!ack) return;
+    const roomId = Number(payload && payload.roomId);
+    if (!roomId) {
+      ack({ ok: false, error: "invalid_room" });
+      return;
+    }
+    if (socket.data.roomId !== roomId) {
+      ack({ ok: false, error: "not_in_room" });
+      return;
+    }
+
+    ack(
+      await analyzeRoomGame(roomId, socket.id, parseHintCount(payload.count), {
+        ply: payload.ply,
+        position: payload.position,
+      })
+    );
+  });
+
+  // -------------------------------------------------------------------------
+  // room:settings - ルーム設定の変更（ヒントの可否）
+  // -------------------------------------------------------------------------
+  socket.on("room:settings", (payload, ack) => {
+    const roomId = Number(payload && payload.roomId);
+    if (!roomId) {
+      if (ack) ack({ ok: false, error: "invalid_room" });
+      return;
+    }
+    if (socket.data.roomId !== roomId) {
+      if (ack) ack({ ok: false, error: "not_in_room" });
+      return;
+    }
+
+    const room = getRoom(roomId);
+    if (!room) {
+      if (ack) ack({ ok: false, error: "not_found" });
+      return;
+    }
+
+    if (!getPlayerColor(room, userId)) {
+      if (ack) ack({ ok: false, error: "not_seated" });
+      return;
+    }
+
+    if (typeof (payload && payload.hints) !== "boolean") {
+      if (ack) ack({ ok: false, error: "invalid_settings" });
+      return;
+    }
+
+    // 対局中は変更不可（対局の途中でヒントを使えるようにしない）
+    const game = getRoomGame(roomId);
+    if (game.status === "playing") {
+      if (ack) ack({ ok: false, error: "game_in_progress" });
+      return;
+    }
+
+    setRoomHints(roomId, payload.hints);
+    io.to(`room:${roomId}`).emit("room:state", { room: getRoom(roomId), game });
+    broadcastRooms();
+    if (ack) ack({ ok: true });
+  });
+
   // -------------------------------------------------------------------------
   // game:ready - 準備完了
   // -------------------------------------------------------------------------
@@ -1239,6 +2194,50 @@ io.on("connection", async (socket) => {
     if (ack) ack({ ok: true, started: Boolean(result.started) });
   });
 
+  // -------------------------------------------------------------------------
+  // game:ruleset - ルールセットの変更
+  // -------------------------------------------------------------------------
+  socket.on("game:ruleset", (payload, ack) => {
+    const roomId = Number(payload && payload.roomId);
+    const rulesetId = payload && payload.ruleset;
+    if (!roomId) {
+      if (ack) ack({ ok: false, error: "invalid_room" });
+      return;
+    }
+    if (socket.data.roomId !== roomId) {
+      if (ack) ack({ ok: false, error: "not_in_room" });
+      return;
+    }
+
+    const room = getRoom(roomId);
+    if (!room) {
+      if (ack) ack({ ok: false, error: "not_found" });
+      return;
+    }
+
+    if (!getPlayerColor(room, userId)) {
+      if (ack) ack({ ok: false, error: "not_seated" });
+      return;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(RULESETS, rulesetId)) {
+      if (ack) ack({ ok: false, error: "invalid_ruleset" });
+      return;
+    }
+
+    // 対局中は変更不可
+    const game = getRoomGame(roomId);
+    if (game.status === "playing") {
+      if (ack) ack({ ok: false, error: "game_in_progress" });
+      return;
+    }
+
+    // ルール変更時は盤面と準備状態をリセット
+    const next = broadcastGame(roomId, createWaitingState({ ruleset: rulesetId }));
+    io.to(`room:${roomId}`).emit("room:state", { room, game: next });
+    if (ack) ack({ ok: true });
+  });
+
   // -------------------------------------------------------------------------
   // chat:send - チャットメッセージ送信
   // -------------------------------------------------------------------------
@@ -0,0 +1,335 @@
+/**
+ * @fileoverview CPU対戦用モンテカルロ木探索（MCTS）モジュール
+ *
+ * ai.js のミニマックス法とは別の思考エンジンです。UCT で木を伸ばし、
+ * 末端からはプレイアウト（最後まで、または一定手数まで手を進める）で勝率を見積もります。
+ * - random: 合法手から一様にランダムに選ぶ
+ * - heuristic: 即勝ちの手を優先し、相手の即勝ちのマスをふさぎ、それ以外はランダム
+ *
+ * 制限時間内に回せた回数で木が育つため、読みの深さより勝率の高さで手を選ぶ、
+ * アルファベータとは違う指し方になります。
+ *
+ * 即勝ち・即負けを見逃さないよう、木の中で勝ち負けが確定したノードは証明済みとして扱います
+ * （MCTS-Solver）。証明済みの負けの手は選ばず、勝ちの手があれば必ず選びます。
+ *
+ * @module mcts
+ */
+
+const {
+  getOpponent,
+  getStateRuleset,
+  applySearchAction,
+  listActions,
+} = require("@yonmoque/rules");
+const { evaluateState, findThreatCells } = require("./ai");
+
+/** UCT の探索係数の既定値 */
+const DEFAULT_EXPLORATION = 1.4;
+
+/** プレイアウトの最大手数の既定値（超えたら評価関数で勝率を見積もる） */
+const DEFAULT_PLAYOUT_DEPTH = 40;
+
+/** 評価値を勝率に変換するときの尺度 */
+const EVALUATION_SCALE = 400;
+
+/**
+ * 即勝ちになる手を探します。
+ * @param {Object} state - 局面
+ * @param {Array<Object>} actions - 合法手
+ * @returns {Object|null} 即勝ちの手（なければnull）
+ */
+function findWinningAction(state, actions) {
+  const rules = getStateRuleset(state);
+  const size = rules.boardSize;
+  const mover = state.turn;
+  const threats = findThreatCells(state.board, mover, rules.winLength);
+  if (threats.size === 0) {
+    return null;
+  }
+  for (const action of actions) {
+    if (threats.has(action.to.row * size + action.to.col)) {
+      const result = applySearchAction(state, action);
+      if (result.ok && result.state.winner === mover) {
+        return action;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * 木のノードを作成します。
+ * 即勝ちの手がある局面では、その手だけを展開対象にします（勝ちを見逃さず、木も細くなる）。
+ * @param {Object} state - 局面
+ * @param {Object|null} parent - 親ノード
+ * @param {Object|null} action - 親からこの局面に進んだ手
+ * @returns {Object} ノード
+ */
+function createNode(state, parent, action) {
+  let untried = [];
+  if (state.status === "playing") {
+    untried = listActions(state, state.turn);
+    const winning = findWinningAction(state, untried);
+    if (winning) {
+      untried = [winning];
+    }
+  }
+
+  return {
+    state,
+    parent,
+    action,
+    // この局面に進む手を指した側（ルートは null）
+    mover: action ? action.color : null,
+    children: [],
+    untried,
+    visits: 0,
+    // mover から見た報酬の合計（勝ち1・引き分け0.5・負け0）
+    reward: 0,
+    // mover から見て勝ち・負けが確定していれば "win" / "loss"
+    proven: terminalProof(state, action),
+  };
+}
+
+/**
+ * 終局した局面の勝ち負けを、その局面に進む手を指した側から見た値で返します。
+ * @param {Object} state - 局面
+ * @param {Object|null} action - その局面に進んだ手
+ * @returns {'win'|'loss'|null} 確定した結果（終局していないか引き分けならnull）
+ */
+function terminalProof(state, action) {
+  if (!action || state.status !== "finished" || !state.winner) {
+    return null;
+  }
+  return state.winner === action.color ? "win" : "loss";
+}
+
+/**
+ * 子ノードの証明結果を親へ伝えます。
+ * - 相手が勝ちの確定した手を持つ局面は、そこへ進んだ側の負け
+ * - すべての手が展開済みで、相手のどの手も負けが確定していれば、そこへ進んだ側の勝ち
+ * @param {Object} node - 証明結果が変わったノード
+ */
+function propagateProof(node) {
+  for (let current = node.parent; current && current.mover; current = current.parent) {
+    let next = null;
+    if (current.children.some((child) => child.proven === "win")) {
+      next = "loss";
+    } else if (
+      current.untried.length === 0 &&
+      current.children.length > 0 &&
+      current.children.every((child) => child.proven === "loss")
+    ) {
+      next = "win";
+    }
+    if (!next || current.proven === next) {
+      return;
+    }
+    current.proven = next;
+  }
+}
+
+/**
+ * UCT 値が最大の子ノードを選びます。
+ * @param {Object} node - ノード
+ * @param {number} exploration - 探索係数
+ * @returns {Object} 子ノード
+ */
+function selectChild(node, exploration) {
+  // 勝ちの確定した手があればそれを選び、負けの確定した手は（他に手があれば）選ばない
+  const winning = node.children.find((child) => child.proven === "win");
+  if (winning) {
+    return winning;
+  }
+  const candidates = node.children.filter((child) => child.proven !== "loss");
+  const pool = candidates.length > 0 ? candidates : node.children;
+
+  const logVisits = Math.log(node.visits);
+  let best = null;
+  let bestValue = -Infinity;
+  for (const child of pool) {
+    const value = child.reward / child.visits + exploration * Math.sqrt(logVisits / child.visits);
+    if (value > bestValue) {
+      bestValue = value;
+      best = child;
+    }
+  }
+  return best;
+}
+
+/**
+ * プレイアウトの1手を選びます。
+ * @param {Object} state - 局面
+ * @param {Array<Object>} actions - 合法手
+ * @param {string} policy - "random" または "heuristic"
+ * @param {function(): number} random - 乱数
+ * @returns {Object} 選んだ手
+ */
+function choosePlayoutAction(state, actions, policy, random) {
+  if (policy === "heuristic") {
+    const rules = getStateRuleset(state);
+    const size = rules.boardSize;
+    const target = (action) => action.to.row * size + action.to.col;
+
+    // 即勝ちになる手があれば指す
+    const winning = findWinningAction(state, actions);
+    if (winning) {
+      return winning;
+    }
+
+    // 相手の即勝ちのマスをふさぐ
+    const oppThreats = findThreatCells(state.board, getOpponent(state.turn), rules.winLength);
+    if (oppThreats.size > 0) {
+      const blocks = actions.filter((action) => oppThreats.has(target(action)));
+      if (blocks.length > 0) {
+        return blocks[Math.floor(random() * blocks.length)];
+      }
+    }
+  }
+
+  return actions[Math.floor(random() * actions.length)];
+}
+
+/**
+ * 局面から手を進め、指定色から見た報酬を返します。
+ * @param {Object} state - 開始局面
+ * @param {'black'|'white'} color - 報酬の基準となる色
+ * @param {Object} settings - { policy, playoutDepth, random, weights }
+ * @returns {number} 報酬（勝ち1・引き分け0.5・負け0、打ち切り時は評価値からの見積もり）
+ */
+function playout(state, color, settings) {
+  let current = state;
+  for (let ply = 0; ply < settings.playoutDepth && current.status === "playing"; ply += 1) {
+    const actions = listActions(current, current.turn);
+    if (actions.length === 0) {
+      break;
+    }
+    const action = choosePlayoutAction(current, actions, settings.policy, settings.random);
+    current = applySearchAction(current, action).state;
+  }
+
+  if (current.status === "finished") {
+    if (!current.winner) {
+      return 0.5;
+    }
+    return current.winner === color ? 1 : 0;
+  }
+
+  // 打ち切った局面は評価値をロジスティック関数で勝率に変換
+  return 1 / (1 + Math.exp(-evaluateState(current, color, settings.weights) / EVALUATION_SCALE));
+}
+
+/**
+ * モンテカルロ木探索で局面を探索し、最善手と探索の詳細を返します。
+ * 最終的な手は訪問回数が最も多い子ノードです。
+ *
+ * @param {Object} state - 現在のゲーム状態
+ * @param {'black'|'white'} color - CPUプレイヤーの色
+ * @param {Object} [options={}] - 探索オプション
+ * @param {number} [options.timeLimitMs=400] - 制限時間（ミリ秒）
+ * @param {number} [options.maxIterations=Infinity] - 反復回数の上限
+ * @param {number} [options.exploration=1.4] - UCT の探索係数
+ * @param {'random'|'heuristic'} [options.playout="heuristic"] - プレイアウトの方針
+ * @param {number} [options.playoutDepth=40] - プレイアウトの最大手数
+ * @param {function(): number} [options.random=Math.random] - 乱数
+ * @param {Object} [options.weights] - 打ち切り時に使う評価関数の重み
+ * @returns {Object} { action, iterations, visits, winRate }
+ */
+function searchMcts(state, color, options = {}) {
+  const timeLimitMs = options.timeLimitMs || 400;
+  const maxIterations = options.maxIterations || Infinity;
+  const exploration = options.exploration ?? DEFAULT_EXPLORATION;
+  const settings = {
+    policy: options.playout === "random" ? "random" : "heuristic",
+    playoutDepth: options.playoutDepth || DEFAULT_PLAYOUT_DEPTH,
+    random: options.random || Math.random,
+    weights: options.weights,
+  };
+  const deadline = Date.now() + timeLimitMs;
+
+  const root = createNode(state, null, null);
+  if (root.untried.length === 0) {
+    return { action: null, iterations: 0, visits: 0, winRate: null };
+  }
+
+  // 合法手が1つなら探索しない
+  if (root.untried.length === 1) {
+    return { action: root.untried[0], iterations: 0, visits: 0, winRate: null };
+  }
+
+  let iterations = 0;
+  while (iterations < maxIterations && Date.now() <= deadline) {
+    // 1. 選択: 未展開の手がなくなるまで UCT で降りる
+    let node = root;
+    while (node.untried.length === 0 && node.children.length > 0) {
+      node = selectChild(node, exploration);
+    }
+
+    // 2. 展開: 未展開の手を1つ選んで子ノードを作る
+    if (node.untried.length > 0) {
+      const index = Math.floor(settings.random() * node.untried.length);
+      const [action] = node.untried.splice(index, 1);
+      const result = applySearchAction(node.state, action);
+      if (!result.ok) {
+        continue;
+      }
+      const child = createNode(result.state, node, action);
+      node.children.push(child);
+      node = child;
+      if (child.proven) {
+        propagateProof(child);
+      }
+    }
+
+    // 3. シミュレーション: CPUの色から見た報酬
+    const reward = playout(node.state, color, settings);
+
+    // 4. 逆伝播: 各ノードでは、そのノードに進む手を指した側から見た報酬を足す
+    for (let current = node; current; current = current.parent) {
+      current.visits += 1;
+      if (current.mover) {
+        current.reward += current.mover === color ? reward : 1 - reward;
+      }
+    }
+
+    iterations += 1;
+  }
+
+  // 勝ちの確定した手があれば選び、なければ負けの確定していない手のうち訪問回数が最も多い手を選ぶ
+  let best = root.children.find((child) => child.proven === "win") || null;
+  if (!best) {
+    const candidates = root.children.filter((child) => child.proven !== "loss");
+    for (const child of candidates.length > 0 ? candidates : root.children) {
+      if (!best || child.visits > best.visits) {
+        best = child;
+      }
+    }
+  }
+
+  if (!best) {
+    return { action: root.untried[0] || null, iterations, visits: 0, winRate: null };
+  }
+
+  return {
+    action: best.action,
+    iterations,
+    visits: best.visits,
+    winRate: best.reward / best.visits,
+  };
+}
+
+/**
+ * 最善手を探索します（searchMcts の手だけを返す版、ai.js の searchBestMove と同じ形）。
+ * @param {Object} state - 現在のゲーム状態
+ * @param {'black'|'white'} color - CPUプレイヤーの色
+ * @param {Object} [options={}] - 探索オプション（searchMcts と同じ）
+ * @returns {Object|null} 最善手（見つからない場合はnull）
+ */
+function searchBestMove(state, color, options = {}) {
+  return searchMcts(state, color, options).action;
+}
+
+module.exports = {
+  searchMcts,
+  searchBestMove,
+};
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview CPUの定跡（オープニングブック）
+ *
+ * 序盤の局面ごとに、深い探索で選んだ手と重みを持つファイルを読み込み、重み付きランダムで手を選びます。
+ * 盤面のマスの色配置は正方形の8つの対称（回転4通り × 鏡映）で変わらないため、
+ * 局面は8通りの変換のうち局面キーが最小になる向き（正規形）で登録し、引くときに元の向きへ戻します。
+ *
+ * 定跡ファイルは scripts/build-opening-book.js でオフラインに作成します（books/<ルールセットID>.json）。
+ *
+ * @module opening-book
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  getStateRuleset,
+  getPositionKey,
+  applyAction,
+  formatAction,
+  parseAction,
+} = require("@yonmoque/rules");
+
+/** 定跡ファイルのディレクトリ */
+const BOOK_DIR = path.join(__dirname, "books");
+
+/** 定跡ファイルの形式のバージョン */
+const BOOK_VERSION = 1;
+
+/**
+ * 8つの対称変換（座標 → 変換後の座標）
+ * @type {Array<function(number, number, number): Array<number>>}
+ */
+const SYMMETRIES = [
+  (row, col) => [row, col],
+  (row, col, size) => [col, size - 1 - row],
+  (row, col, size) => [size - 1 - row, size - 1 - col],
+  (row, col, size) => [size - 1 - col, row],
+  (row, col, size) => [row, size - 1 - col],
+  (row, col, size) => [size - 1 - row, col],
+  (row, col) => [col, row],
+  (row, col, size) => [size - 1 - col, size - 1 - row],
+];
+
+/**
+ * 各対称変換の逆変換の番号
+ * （回転は90度と270度が互いに逆、鏡映は自分自身が逆）
+ */
+const INVERSE_SYMMETRY = [0, 3, 2, 1, 4, 5, 6, 7];
+
+/** ルールセットIDごとに読み込んだ定跡（ファイルがなければnull） */
+const loadedBooks = new Map();
+
+/**
+ * 座標に対称変換を適用します。
+ * @param {Object} pos - 座標 { row, col }
+ * @param {number} symmetry - 変換の番号（0〜7）
+ * @param {number} size - 盤面のサイズ
+ * @returns {Object} 変換後の座標
+ */
+function transformPos(pos, symmetry, size) {
+  const [row, col] = SYMMETRIES[symmetry](pos.row, pos.col, size);
+  return { row, col };
+}
+
+/**
+ * アクションに対称変換を適用します。
+ * @param {Object} action - アクション
+ * @param {number} symmetry - 変換の番号（0〜7）
+ * @param {number} size - 盤面のサイズ
+ * @returns {Object} 変換後のアクション
+ */
+function transformAction(action, symmetry, size) {
+  const next = { ...action, to: transformPos(action.to, symmetry, size) };
+  if (action.from) {
+    next.from = transformPos(action.from, symmetry, size);
+  }
+  return next;
+}
+
+/**
+ * 盤面に対称変換を適用します。
+ * @param {Array<Array<string|null>>} board - 盤面
+ * @param {number} symmetry - 変換の番号（0〜7）
+ * @returns {Array<Array<string|null>>} 変換後の盤面
+ */
+function transformBoard(board, symmetry) {
+  const size = board.length;
+  const next = Array.from({ length: size }, () => Array(size).fill(null));
+  for (let row = 0; row < size; row += 1) {
+    for (let col = 0; col < size; col += 1) {
+      const [toRow, toCol] = SYMMETRIES[symmetry](row, col, size);
+      next[toRow][toCol] = board[row][col];
+    }
+  }
+  return next;
+}
+
+/**
+ * 局面の正規形（8つの対称のうち局面キーが最小の向き）を求めます。
+ * @param {Object} state - ゲーム状態
+ * @returns {{key: string, symmetry: number}} 正規形の局面キーと、元の局面から正規形への変換の番号
+ */
+function canonicalize(state) {
+  let best = null;
+  for (let symmetry = 0; symmetry < SYMMETRIES.length; symmetry += 1) {
+    const key = getPositionKey({ ...state, board: transformBoard(state.board, symmetry) });
+    if (!best || key < best.key) {
+      best = { key, symmetry };
+    }
+  }
+  return best;
+}
+
+/**
+ * ルールセットの定跡ファイルを読み込みます（結果はキャッシュ）。
+ * @param {string} rulesetId - ルールセットID
+ * @returns {Object|null} 定跡（ファイルがないか形式が違えばnull）
+ */
+function loadOpeningBook(rulesetId) {
+  if (loadedBooks.has(rulesetId)) {
+    return loadedBooks.get(rulesetId);
+  }
+
+  let book = null;
+  const file = path.join(BOOK_DIR, `${rulesetId}.json`);
+  if (fs.existsSync(file)) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (parsed.version === BOOK_VERSION && parsed.ruleset === rulesetId && parsed.positions) {
+        book = parsed;
+      } else {
+        console.warn(`Ignoring opening book with unexpected format: ${file}`);
+      }
+    } catch (error) {
+      console.warn(`Failed to read opening book ${file}:`, error.message);
+    }
+  }
+
+  loadedBooks.set(rulesetId, book);
+  return book;
+}
+
+/**
+ * 局面の定跡手を、元の局面の向きに戻して返します。
+ * @param {Object} state - ゲーム状態
+ * @param {Object} [book] - 定跡（省略時はルールセットの定跡ファイル）
+ * @returns {Array<{action: Object, weight: number, score: number}>} 定跡手（なければ空配列）
+ */
+function getBookMoves(state, book) {
+  if (state.status !== "playing") {
+    return [];
+  }
+
+  const rules = getStateRuleset(state);
+  const source = book || loadOpeningBook(rules.id);
+  if (!source) {
+    return [];
+  }
+
+  const { key, symmetry } = canonicalize(state);
+  const entries = source.positions[key];
+  if (!Array.isArray(entries)) {
+    return [];
+  }
+
+  const inverse = INVERSE_SYMMETRY[symmetry];
+  const moves = [];
+  for (const entry of entries) {
+    const parsed = parseAction(entry.move, state.turn, state.ruleset);
+    if (!parsed.ok || !(entry.weight > 0)) {
+      continue;
+    }
+    const action = transformAction(parsed.action, inverse, rules.boardSize);
+    // 定跡ファイルが古いなどで合法でない手は使わない
+    if (!applyAction(state, action).ok) {
+      continue;
+    }
+    moves.push({ action, weight: entry.weight, score: entry.score });
+  }
+  return moves;
+}
+
+/**
+ * 定跡手を重み付きランダムで1つ選びます。
+ * @param {Object} state - ゲーム状態
+ * @param {Object} [options={}] - オプション
+ * @param {Object} [options.book] - 定跡（省略時はルールセットの定跡ファイル）
+ * @param {function(): number} [options.random=Math.random] - 0以上1未満を返す乱数
+ * @returns {Object|null} 選んだアクション（定跡外ならnull）
+ */
+function pickBookMove(state, options = {}) {
+  const moves = getBookMoves(state, options.book);
+  if (moves.length === 0) {
+    return null;
+  }
+
+  const random = options.random || Math.random;
+  const total = moves.reduce((sum, move) => sum + move.weight, 0);
+  let threshold = random() * total;
+  for (const move of moves) {
+    threshold -= move.weight;
+    if (threshold < 0) {
+      return move.action;
+    }
+  }
+  return moves[moves.length - 1].action;
+}
+
+/**
+ * 正規形の向きのアクションを定跡ファイル用の表記にします。
+ * @param {Object} state - ゲーム状態
+ * @param {Object} action - 元の局面の向きのアクション
+ * @returns {string} 正規形の向きでの表記
+ */
+function formatCanonicalMove(state, action) {
+  const { symmetry } = canonicalize(state);
+  return formatAction(transformAction(action, symmetry, state.board.length));
+}
+
+module.exports = {
+  BOOK_DIR,
+  BOOK_VERSION,
+  canonicalize,
+  loadOpeningBook,
+  getBookMoves,
+  pickBookMove,
+  formatCanonicalMove,
+};
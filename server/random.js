@@ -0,0 +1,49 @@
+/**
+ * @fileoverview シード付き疑似乱数生成器
+ *
+ * mulberry32 による32ビットの疑似乱数です。同じシードからは常に同じ列が得られるため、
+ * Zobristハッシュの乱数表や再現可能なCPUの手選びに使用します。
+ *
+ * @module random
+ */
+
+/**
+ * シード付きの疑似乱数生成器を作成します。
+ * @param {number} seed - シード（32ビット整数として扱う）
+ * @returns {{uint32: function(): number, float: function(): number}}
+ *   uint32: 0以上2^32未満の整数、float: 0以上1未満の小数
+ */
+function createRandom(seed) {
+  let value = seed >>> 0;
+
+  const uint32 = () => {
+    value = (value + 0x6d2b79f5) >>> 0;
+    let t = value;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  };
+
+  const float = () => uint32() / 4294967296;
+
+  return { uint32, float };
+}
+
+/**
+ * 文字列から32ビットのシードを作ります（FNV-1a）。
+ * @param {string} text - 元の文字列
+ * @returns {number} シード
+ */
+function seedFromString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+module.exports = {
+  createRandom,
+  seedFromString,
+};
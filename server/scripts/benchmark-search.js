@@ -0,0 +1,126 @@
+/**
+ * @fileoverview 探索のベンチマーク用スクリプト
+ *
+ * シード付き乱数で作った同じ局面の集合に対して、手の並べ替えなし／ありの探索を比べます。
+ * - 固定深度: 制限時間なしで指定深度まで探索したときのノード数と時間
+ * - 難易度ごと: hard / strong の制限時間内に到達できた深さ
+ *
+ * 使い方:
+ *   node scripts/benchmark-search.js [--depth=4] [--positions=12] [--seed=1] [--ruleset=classic]
+ */
+
+const {
+  createNewGameState,
+  applyAction,
+  listActions,
+} = require("@yonmoque/rules");
+const { searchPosition } = require("../ai");
+const { CPU_LEVELS } = require("../cpu-levels");
+const { createRandom } = require("../random");
+
+/**
+ * --name=value 形式の引数を読み取ります。
+ * @param {string} name - 引数名
+ * @param {string} fallback - 既定値
+ * @returns {string} 値
+ */
+function readArg(name, fallback) {
+  const prefix = `--${name}=`;
+  const found = process.argv.find((arg) => arg.startsWith(prefix));
+  return found ? found.slice(prefix.length) : fallback;
+}
+
+const depth = Number(readArg("depth", "4"));
+const positionCount = Number(readArg("positions", "12"));
+const seed = Number(readArg("seed", "1"));
+const ruleset = readArg("ruleset", "classic");
+
+/**
+ * ランダムな手を指して、対局途中の局面を作ります。
+ * @param {Object} random - 疑似乱数生成器
+ * @param {number} plies - 指す手数
+ * @returns {Object|null} 進行中の局面（途中で終局したらnull）
+ */
+function randomPosition(random, plies) {
+  let state = createNewGameState({ ruleset });
+  for (let i = 0; i < plies; i += 1) {
+    const actions = listActions(state, state.turn);
+    const action = actions[Math.floor(random.float() * actions.length)];
+    state = applyAction(state, action).state;
+    if (state.status !== "playing") {
+      return null;
+    }
+  }
+  return state;
+}
+
+/**
+ * ベンチマーク用の局面を集めます（序盤から終盤まで手数をばらす）。
+ * @returns {Array<Object>} 局面の配列
+ */
+function buildPositions() {
+  const random = createRandom(seed);
+  const positions = [];
+  let attempt = 0;
+  while (positions.length < positionCount && attempt < positionCount * 20) {
+    const plies = 2 + ((positions.length * 3) % 24);
+    const state = randomPosition(random, plies);
+    if (state) {
+      positions.push(state);
+    }
+    attempt += 1;
+  }
+  return positions;
+}
+
+/**
+ * すべての局面を探索し、合計を返します。
+ * @param {Array<Object>} positions - 局面
+ * @param {Object} options - searchPosition のオプション
+ * @returns {{nodes: number, ms: number, depths: Array<number>}} 合計ノード数・時間・到達深度
+ */
+function runAll(positions, options) {
+  let nodes = 0;
+  const depths = [];
+  const start = Date.now();
+  for (const state of positions) {
+    const result = searchPosition(state, state.turn, options);
+    nodes += result.nodes;
+    depths.push(result.depth);
+  }
+  return { nodes, ms: Date.now() - start, depths };
+}
+
+function run() {
+  const positions = buildPositions();
+  console.log(`ruleset=${ruleset} positions=${positions.length} seed=${seed}`);
+  console.log("");
+
+  // 固定深度（時間無制限）でのノード数
+  console.log(`[fixed depth ${depth}]`);
+  const unordered = runAll(positions, { maxDepth: depth, timeLimitMs: 1e9, ordering: false });
+  const ordered = runAll(positions, { maxDepth: depth, timeLimitMs: 1e9, ordering: true });
+  console.log(`  ordering off: ${unordered.nodes} nodes, ${unordered.ms} ms`);
+  console.log(`  ordering on:  ${ordered.nodes} nodes, ${ordered.ms} ms`);
+  const ratio = unordered.nodes > 0 ? ((1 - ordered.nodes / unordered.nodes) * 100).toFixed(1) : "0.0";
+  console.log(`  node reduction: ${ratio}%`);
+  console.log("");
+
+  // 難易度ごとの制限時間内の到達深度
+  for (const level of ["hard", "strong"]) {
+    const config = CPU_LEVELS[level];
+    console.log(`[${level}: maxDepth ${config.maxDepth}, ${config.timeLimitMs} ms]`);
+    for (const enabled of [false, true]) {
+      const result = runAll(positions, { ...config, ordering: enabled });
+      const reached = result.depths.filter((value) => value >= config.maxDepth).length;
+      const average = result.depths.reduce((sum, value) => sum + value, 0) / result.depths.length;
+      console.log(
+        `  ordering ${enabled ? "on: " : "off:"} reached maxDepth ${reached}/${positions.length}, ` +
+          `average depth ${average.toFixed(2)}, ${result.nodes} nodes`
+      );
+    }
+    console.log("");
+  }
+}
+
+run();
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview 定跡ファイル作成用スクリプト
+ *
+ * 初期局面から指定手数までの局面を（対称な局面はまとめて）すべて辿り、
+ * 各局面のすべての手を深く探索して、最善に近い手を重み付きで books/<ルールセットID>.json に書き出します。
+ * 重みは最善手との評価値の差から exp(差 / temperature) で決めます。
+ *
+ * 使い方:
+ *   node scripts/build-opening-book.js [--ruleset=classic] [--plies=3] [--depth=5]
+ *     [--time=30000] [--margin=80] [--temperature=40]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  RULESETS,
+  createNewGameState,
+  applyAction,
+  listActions,
+} = require("@yonmoque/rules");
+const { searchPosition, evaluateState } = require("../ai");
+const { createTranspositionTable } = require("../transposition");
+const {
+  BOOK_DIR,
+  BOOK_VERSION,
+  canonicalize,
+  formatCanonicalMove,
+} = require("../opening-book");
+
+/**
+ * --name=value 形式の引数を読み取ります。
+ * @param {string} name - 引数名
+ * @param {string} fallback - 既定値
+ * @returns {string} 値
+ */
+function readArg(name, fallback) {
+  const prefix = `--${name}=`;
+  const found = process.argv.find((arg) => arg.startsWith(prefix));
+  return found ? found.slice(prefix.length) : fallback;
+}
+
+const ruleset = readArg("ruleset", "classic");
+const plies = Number(readArg("plies", "3"));
+const depth = Number(readArg("depth", "5"));
+const timeLimitMs = Number(readArg("time", "30000"));
+const margin = Number(readArg("margin", "80"));
+const temperature = Number(readArg("temperature", "40"));
+
+/**
+ * 局面のすべての手（対称で同じになる手は1つにまとめる）を評価します。
+ * @param {Object} state - 局面
+ * @param {Object} tables - 色ごとのトランスポジションテーブル
+ * @returns {Array<{action: Object, child: Object, score: number}>} 手番側から見た評価値付きの手
+ */
+function scoreActions(state, tables) {
+  const mover = state.turn;
+  const seenChildren = new Set();
+  const scored = [];
+
+  for (const action of listActions(state, mover)) {
+    const child = applyAction(state, action).state;
+    const { key } = canonicalize(child);
+    if (seenChildren.has(key)) {
+      continue;
+    }
+    seenChildren.add(key);
+
+    const score = child.status === "playing"
+      ? searchPosition(child, mover, { maxDepth: depth - 1, timeLimitMs, table: tables[mover] }).score
+      : evaluateState(child, mover);
+    scored.push({ action, child, score: score === null ? evaluateState(child, mover) : score });
+  }
+
+  return scored;
+}
+
+function run() {
+  if (!Object.prototype.hasOwnProperty.call(RULESETS, ruleset)) {
+    console.error(`Unknown ruleset: ${ruleset}`);
+    process.exit(1);
+  }
+
+  const tables = { black: createTranspositionTable(), white: createTranspositionTable() };
+  const positions = {};
+  const visited = new Set();
+  let frontier = [createNewGameState({ ruleset })];
+
+  for (let ply = 0; ply < plies; ply += 1) {
+    const nextFrontier = [];
+    const start = Date.now();
+
+    for (const state of frontier) {
+      const { key } = canonicalize(state);
+      if (visited.has(key)) {
+        continue;
+      }
+      visited.add(key);
+
+      const scored = scoreActions(state, tables);
+      if (scored.length === 0) {
+        continue;
+      }
+
+      // 最善手から margin 以内の手を重み付きで登録
+      const best = Math.max(...scored.map((entry) => entry.score));
+      positions[key] = scored
+        .filter((entry) => entry.score >= best - margin)
+        .sort((a, b) => b.score - a.score)
+        .map((entry) => ({
+          move: formatCanonicalMove(state, entry.action),
+          weight: Math.max(1, Math.round(100 * Math.exp((entry.score - best) / temperature))),
+          score: entry.score,
+        }));
+
+      // 相手がどの手を指しても定跡を引けるよう、すべての子局面を次の手数で辿る
+      for (const entry of scored) {
+        if (entry.child.status === "playing") {
+          nextFrontier.push(entry.child);
+        }
+      }
+    }
+
+    console.log(
+      `ply ${ply}: ${Object.keys(positions).length} positions in book, ` +
+        `${nextFrontier.length} to expand, ${Date.now() - start} ms`
+    );
+    frontier = nextFrontier;
+  }
+
+  const book = {
+    version: BOOK_VERSION,
+    ruleset,
+    plies,
+    depth,
+    positions,
+  };
+
+  fs.mkdirSync(BOOK_DIR, { recursive: true });
+  const file = path.join(BOOK_DIR, `${ruleset}.json`);
+  fs.writeFileSync(file, `${JSON.stringify(book, null, 1)}\n`);
+  console.log(`Wrote ${file}`);
+}
+
+run();
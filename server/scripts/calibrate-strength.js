@@ -0,0 +1,90 @@
+/**
+ * @fileoverview 数値の強さの基準点の較正スクリプト
+ *
+ * cpu-levels.js の STRENGTH_ANCHORS の設定同士を総当たりで対局させ、Bradley-Terry モデルで推定したレーティングを
+ * 最も強い基準点が STRENGTH_RANGE.max になるようにずらして出力します。
+ * 出力された値を STRENGTH_ANCHORS の rating に書き写して使います（自動では書き換えません）。
+ *
+ * 対局ごとにランダムな序盤を作り、同じ序盤で先手・後手を入れ替えて2局指します。
+ *
+ * 使い方:
+ *   node scripts/calibrate-strength.js [--openings=5] [--opening-plies=4] [--seed=1] [--ruleset=classic]
+ *   --openings は組み合わせごとの序盤の数です（対局数はその2倍）。
+ */
+
+const { STRENGTH_RANGE, STRENGTH_ANCHORS } = require("../cpu-levels");
+const { fitRatings } = require("../elo");
+const { createRandom } = require("../random");
+const { playGame, randomOpening } = require("../selfplay");
+
+/**
+ * --name=value 形式の引数を読み取ります。
+ * @param {string} name - 引数名
+ * @param {string} fallback - 既定値
+ * @returns {string} 値
+ */
+function readArg(name, fallback) {
+  const prefix = `--${name}=`;
+  const found = process.argv.find((arg) => arg.startsWith(prefix));
+  return found ? found.slice(prefix.length) : fallback;
+}
+
+const openings = Number(readArg("openings", "5"));
+const openingPlies = Number(readArg("opening-plies", "4"));
+const seed = Number(readArg("seed", "1"));
+const ruleset = readArg("ruleset", "classic");
+
+function run() {
+  const names = STRENGTH_ANCHORS.map((anchor) => String(anchor.rating));
+  const random = createRandom(seed).float;
+  const pairings = [];
+
+  console.log(`ruleset=${ruleset} anchors=${names.join(",")} openings=${openings} seed=${seed}`);
+  console.log("");
+
+  for (let i = 0; i < STRENGTH_ANCHORS.length; i += 1) {
+    for (let j = i + 1; j < STRENGTH_ANCHORS.length; j += 1) {
+      const a = STRENGTH_ANCHORS[i].config;
+      const b = STRENGTH_ANCHORS[j].config;
+      const pairing = { a: names[i], b: names[j], wins: 0, draws: 0, losses: 0 };
+      const start = Date.now();
+
+      for (let game = 0; game < openings; game += 1) {
+        const opening = randomOpening(openingPlies, { ruleset, random });
+        for (const aIsBlack of [true, false]) {
+          const outcome = aIsBlack
+            ? playGame(a, b, { ruleset, opening, random })
+            : playGame(b, a, { ruleset, opening, random });
+          if (!outcome.winner) {
+            pairing.draws += 1;
+          } else if ((outcome.winner === "black") === aIsBlack) {
+            pairing.wins += 1;
+          } else {
+            pairing.losses += 1;
+          }
+        }
+      }
+
+      console.log(
+        `${pairing.a} vs ${pairing.b}: +${pairing.wins} =${pairing.draws} -${pairing.losses} ` +
+          `${Date.now() - start} ms`
+      );
+      pairings.push(pairing);
+    }
+  }
+
+  // 最も強い基準点を上限に合わせる
+  const ratings = fitRatings(names, pairings);
+  const top = ratings[ratings.length - 1].elo;
+  console.log("");
+  console.log("[anchors: current -> measured]");
+  for (const [index, rating] of ratings.entries()) {
+    const measured = Math.round(rating.elo - top + STRENGTH_RANGE.max);
+    console.log(
+      `${String(STRENGTH_ANCHORS[index].rating).padStart(5)} -> ${String(measured).padStart(5)} ` +
+        `±${Number.isFinite(rating.margin) ? Math.round(rating.margin) : "inf"}`
+    );
+  }
+}
+
+run();
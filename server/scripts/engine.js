@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview 単体で動くCPUエンジン（YEI プロトコル）
+ *
+ * サーバーの CPU と同じ探索（engines.js の searchBestMove）を、標準入出力の YEI プロトコル
+ * （engine-protocol.js）で使えるようにします。外部エンジンの見本と、サーバーの外部エンジン設定の動作確認に使います。
+ *
+ * オプション（setoption）:
+ * - Level: CPU_LEVELS の難易度名（既定は strong）
+ * - Strength: 0（Level を使う）または数値の強さ（400〜2000、範囲外は端に丸める）
+ * - Seed: 手選びのゆらぎのシード。0 なら毎回変わる
+ * go の movetime は制限時間、depth は探索深度を上書きします。
+ * 探索は同期的に行うため、探索中の stop は探索が終わった後に届きます（制限時間で必ず終わります）。
+ *
+ * 使い方:
+ *   node scripts/engine.js
+ *   （例）echo -e "yei\nposition startpos moves Pc3\ngo movetime 200\nquit" | node scripts/engine.js
+ */
+
+const readline = require("readline");
+const { CPU_LEVELS, STRENGTH_RANGE, clampStrength, strengthToConfig } = require("../cpu-levels");
+const { getEngine } = require("../engines");
+const {
+  parseCommand,
+  formatMoveToken,
+  parsePositionArgs,
+  parseGoArgs,
+  parseSetOptionArgs,
+  formatInfo,
+} = require("../engine-protocol");
+const { createTranspositionTable } = require("../transposition");
+
+/** エンジン名 */
+const ENGINE_NAME = "Yonmoque built-in";
+
+/** 既定の難易度 */
+const DEFAULT_LEVEL = "strong";
+
+/** シードの上限 */
+const MAX_SEED = 2147483647;
+
+/** オプションの現在値 */
+const settings = { level: DEFAULT_LEVEL, strength: 0, seed: 0 };
+
+/** position で設定した局面（未設定ならnull） */
+let position = null;
+
+/**
+ * 手番の色ごとに、対局中に使い回すトランスポジションテーブル（newgame で作り直す）
+ * 同じエンジンで両方の色を探索しても、相手の色で探索した評価値を読まないように分けます
+ */
+let tables = createTables();
+
+/**
+ * 色ごとのトランスポジションテーブルを作ります。
+ * @returns {{black: Object, white: Object}} テーブル
+ */
+function createTables() {
+  return { black: createTranspositionTable(), white: createTranspositionTable() };
+}
+
+/**
+ * 1行を送信します。
+ * @param {string} line - 送信する行
+ */
+function send(line) {
+  process.stdout.write(`${line}\n`);
+}
+
+/**
+ * 現在のオプションから探索設定を作ります。
+ * @returns {Object} CPU設定
+ */
+function currentConfig() {
+  if (settings.strength > 0) {
+    return strengthToConfig(settings.strength);
+  }
+  return CPU_LEVELS[settings.level];
+}
+
+/**
+ * yei コマンドに答えます。
+ */
+function handleHello() {
+  send(`id name ${ENGINE_NAME}`);
+  send("id author yonmoque");
+  send(`option name Level type combo default ${DEFAULT_LEVEL} ${Object.keys(CPU_LEVELS).map((name) => `var ${name}`).join(" ")}`);
+  send(`option name Strength type spin default 0 min 0 max ${STRENGTH_RANGE.max}`);
+  send(`option name Seed type spin default 0 min 0 max ${MAX_SEED}`);
+  send("yeiok");
+}
+
+/**
+ * setoption コマンドを処理します。
+ * @param {Array<string>} args - 引数
+ */
+function handleSetOption(args) {
+  const option = parseSetOptionArgs(args);
+  if (!option) {
+    send("info string error invalid_option");
+    return;
+  }
+  const number = Number(option.value);
+  if (option.name === "Level" && CPU_LEVELS[option.value]) {
+    settings.level = option.value;
+  } else if (option.name === "Strength" && Number.isFinite(number)) {
+    settings.strength = number > 0 ? clampStrength(number) : 0;
+  } else if (option.name === "Seed" && Number.isInteger(number) && number >= 0 && number <= MAX_SEED) {
+    settings.seed = number;
+  } else {
+    send(`info string error invalid_option ${option.name}`);
+  }
+}
+
+/**
+ * position コマンドを処理します。
+ * @param {Array<string>} args - 引数
+ */
+function handlePosition(args) {
+  const parsed = parsePositionArgs(args);
+  if (!parsed.ok) {
+    position = null;
+    send(`info string error ${parsed.error}${parsed.ply ? ` at move ${parsed.ply}` : ""}`);
+    return;
+  }
+  position = parsed.state;
+}
+
+/**
+ * go コマンドを処理し、bestmove を返します。
+ * @param {Array<string>} args - 引数
+ */
+function handleGo(args) {
+  if (!position) {
+    send("info string error no_position");
+    send("bestmove none");
+    return;
+  }
+  if (position.status !== "playing") {
+    send("bestmove none");
+    return;
+  }
+
+  const limits = parseGoArgs(args);
+  const config = currentConfig();
+  const started = Date.now();
+  const searchBestMove = getEngine(config.engine);
+  const action = searchBestMove(position, position.turn, {
+    ...config,
+    timeLimitMs: limits.movetime || config.timeLimitMs,
+    maxDepth: limits.depth || config.maxDepth,
+    seed: settings.seed > 0 ? settings.seed : undefined,
+    table: tables[position.turn],
+  });
+  send(formatInfo({ time: Date.now() - started }));
+  send(`bestmove ${action ? formatMoveToken(action) : "none"}`);
+}
+
+function run() {
+  const input = readline.createInterface({ input: process.stdin });
+  input.on("line", (line) => {
+    const command = parseCommand(line);
+    if (!command) {
+      return;
+    }
+    switch (command.name) {
+      case "yei":
+        handleHello();
+        break;
+      case "isready":
+        send("readyok");
+        break;
+      case "setoption":
+        handleSetOption(command.args);
+        break;
+      case "newgame":
+        position = null;
+        tables = createTables();
+        break;
+      case "position":
+        handlePosition(command.args);
+        break;
+      case "go":
+        handleGo(command.args);
+        break;
+      case "stop":
+        // 探索は go の中で終わっているため何もしない
+        break;
+      case "quit":
+        input.close();
+        break;
+      default:
+        send(`info string error unknown_command ${command.name}`);
+    }
+  });
+  input.on("close", () => process.exit(0));
+}
+
+run();
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview CPU設定同士の対戦スクリプト
+ *
+ * 2つの難易度（CPU_LEVELS のキー）を先手・後手を入れ替えながら対局させ、勝敗を集計します。
+ * エンジン同士（alphabeta と mcts など）の比較に使います。
+ *
+ * 使い方:
+ *   node scripts/match.js [--a=strong] [--b=mcts] [--games=10] [--time=700] [--seed=1]
+ *     [--random-plies=2] [--ruleset=classic]
+ *   --time を指定すると両者の制限時間を上書きします。
+ */
+
+const { formatAction } = require("@yonmoque/rules");
+const { CPU_LEVELS } = require("../cpu-levels");
+const { createRandom } = require("../random");
+const { playGame } = require("../selfplay");
+
+/**
+ * --name=value 形式の引数を読み取ります。
+ * @param {string} name - 引数名
+ * @param {string} fallback - 既定値
+ * @returns {string} 値
+ */
+function readArg(name, fallback) {
+  const prefix = `--${name}=`;
+  const found = process.argv.find((arg) => arg.startsWith(prefix));
+  return found ? found.slice(prefix.length) : fallback;
+}
+
+const levelA = readArg("a", "strong");
+const levelB = readArg("b", "mcts");
+const games = Number(readArg("games", "10"));
+const timeOverride = readArg("time", "");
+const seed = Number(readArg("seed", "1"));
+const randomPlies = Number(readArg("random-plies", "2"));
+const ruleset = readArg("ruleset", "classic");
+
+/**
+ * 難易度名からCPU設定を作ります。
+ * @param {string} level - 難易度名
+ * @returns {Object} CPU設定
+ */
+function configFor(level) {
+  if (!CPU_LEVELS[level]) {
+    console.error(`Unknown level: ${level} (${Object.keys(CPU_LEVELS).join(", ")})`);
+    process.exit(1);
+  }
+  const config = { ...CPU_LEVELS[level] };
+  if (timeOverride) {
+    config.timeLimitMs = Number(timeOverride);
+  }
+  return config;
+}
+
+function run() {
+  const a = configFor(levelA);
+  const b = configFor(levelB);
+  const random = createRandom(seed).float;
+  const tally = { a: 0, b: 0, draw: 0 };
+
+  for (let game = 0; game < games; game += 1) {
+    // 偶数局は A が黒、奇数局は B が黒
+    const aIsBlack = game % 2 === 0;
+    const outcome = aIsBlack
+      ? playGame(a, b, { ruleset, randomPlies, random })
+      : playGame(b, a, { ruleset, randomPlies, random });
+
+    let label = "draw";
+    if (outcome.winner) {
+      const aWon = (outcome.winner === "black") === aIsBlack;
+      label = aWon ? levelA : levelB;
+      tally[aWon ? "a" : "b"] += 1;
+    } else {
+      tally.draw += 1;
+    }
+
+    const opening = outcome.state.moves.slice(0, 4).map(formatAction).join(" ");
+    console.log(
+      `game ${game + 1}: ${aIsBlack ? levelA : levelB} (black) vs ${aIsBlack ? levelB : levelA} (white) -> ` +
+        `${label} by ${outcome.result} in ${outcome.plies} plies [${opening} ...]`
+    );
+  }
+
+  const score = (tally.a + tally.draw / 2) / Math.max(1, games);
+  console.log("");
+  console.log(`${levelA}: ${tally.a} wins, ${levelB}: ${tally.b} wins, draws: ${tally.draw}`);
+  console.log(`${levelA} score: ${(score * 100).toFixed(1)}%`);
+}
+
+run();
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview CPU設定の総当たり戦スクリプト
+ *
+ * CPU_LEVELS の難易度と、評価関数の重みを変えた変種を総当たりで対局させ、
+ * 勝ち・引き分け・負けの表と、Elo差（95%信頼区間付き）、全体のレーティングを出力します。
+ *
+ * 対局ごとにランダムな序盤を作り、同じ序盤で先手・後手を入れ替えて2局指します。
+ *
+ * 設定は「難易度」または「難易度@変種」で指定します（例: hard@defensive）。
+ * 難易度の代わりに数値の強さ（例: 1200）も指定でき、cpu-levels.js の strengthToConfig の設定になります。
+ * 変種は WEIGHT_VARIANTS の名前で、現在の重み（重みファイル、なければ手で決めた重み）の一部を上書きします。
+ *
+ * 使い方:
+ *   node scripts/tournament.js [--players=easy,normal,hard,strong] [--openings=5]
+ *     [--opening-plies=4] [--time=] [--seed=1] [--ruleset=classic]
+ *   --openings は組み合わせごとの序盤の数です（対局数はその2倍）。
+ *   --time を指定するとすべての設定の制限時間を上書きします。
+ */
+
+const { CPU_LEVELS, strengthToConfig } = require("../cpu-levels");
+const { summarizeRecord, fitRatings } = require("../elo");
+const { createRandom } = require("../random");
+const { playGame, randomOpening } = require("../selfplay");
+const { DEFAULT_WEIGHTS, loadWeights } = require("../weights");
+
+/**
+ * 評価関数の重みの変種（現在の重みからの差分）
+ * - handpicked: 手で決めた重み（重みファイルで調整した重みと比べる）
+ * - aggressive: 自分のラインを重く見る
+ * - defensive: 相手のラインを重く見る
+ * - material: 駒の差を重く見る
+ * - nomobility: 機動力を見ない
+ */
+const WEIGHT_VARIANTS = {
+  handpicked: DEFAULT_WEIGHTS,
+  aggressive: { near: 520, build: 90, single: 14 },
+  defensive: { oppNear: 560, oppBuild: 100, oppSingle: 14 },
+  material: { piece: 25 },
+  nomobility: { mobility: 0 },
+};
+
+/**
+ * --name=value 形式の引数を読み取ります。
+ * @param {string} name - 引数名
+ * @param {string} fallback - 既定値
+ * @returns {string} 値
+ */
+function readArg(name, fallback) {
+  const prefix = `--${name}=`;
+  const found = process.argv.find((arg) => arg.startsWith(prefix));
+  return found ? found.slice(prefix.length) : fallback;
+}
+
+const players = readArg("players", "easy,normal,hard,strong")
+  .split(",")
+  .map((name) => name.trim())
+  .filter(Boolean);
+const openings = Number(readArg("openings", "5"));
+const openingPlies = Number(readArg("opening-plies", "4"));
+const timeOverride = readArg("time", "");
+const seed = Number(readArg("seed", "1"));
+const ruleset = readArg("ruleset", "classic");
+
+/**
+ * 設定名（難易度・数値の強さ、またはその後に @変種）からCPU設定を作ります。
+ * @param {string} name - 設定名
+ * @returns {Object} CPU設定
+ */
+function configFor(name) {
+  const [level, variant] = name.split("@");
+  const isStrength = /^\d+$/.test(level);
+  if (!isStrength && !CPU_LEVELS[level]) {
+    console.error(`Unknown level: ${level} (${Object.keys(CPU_LEVELS).join(", ")}, or a number)`);
+    process.exit(1);
+  }
+  const config = isStrength ? strengthToConfig(Number(level)) : { ...CPU_LEVELS[level] };
+  if (variant) {
+    if (!WEIGHT_VARIANTS[variant]) {
+      console.error(`Unknown weight variant: ${variant} (${Object.keys(WEIGHT_VARIANTS).join(", ")})`);
+      process.exit(1);
+    }
+    config.weights = { ...loadWeights(), ...WEIGHT_VARIANTS[variant] };
+  }
+  if (timeOverride) {
+    config.timeLimitMs = Number(timeOverride);
+  }
+  return config;
+}
+
+/**
+ * Elo差を符号付きで整形します。
+ * @param {number} value - Elo差
+ * @returns {string} 表示用の文字列
+ */
+function formatElo(value) {
+  if (!Number.isFinite(value)) {
+    return value > 0 ? "+inf" : "-inf";
+  }
+  const rounded = Math.round(value);
+  return rounded > 0 ? `+${rounded}` : `${rounded}`;
+}
+
+/**
+ * 信頼区間の半幅を整形します。
+ * @param {number} value - 半幅
+ * @returns {string} 表示用の文字列
+ */
+function formatMargin(value) {
+  return Number.isFinite(value) ? `±${Math.round(value)}` : "±inf";
+}
+
+/**
+ * 表の1行を列幅に揃えます。
+ * @param {Array<string>} cells - セル
+ * @param {Array<number>} widths - 列幅
+ * @returns {string} 整形した行
+ */
+function formatRow(cells, widths) {
+  return cells.map((cell, index) => String(cell).padEnd(widths[index])).join("  ").trimEnd();
+}
+
+function run() {
+  if (players.length < 2) {
+    console.error("At least two players are required (--players=a,b,...)");
+    process.exit(1);
+  }
+
+  const configs = new Map(players.map((name) => [name, configFor(name)]));
+  const random = createRandom(seed).float;
+  const pairings = [];
+
+  console.log(
+    `ruleset=${ruleset} players=${players.join(",")} openings=${openings} ` +
+      `opening-plies=${openingPlies} seed=${seed}`
+  );
+  console.log("");
+
+  for (let i = 0; i < players.length; i += 1) {
+    for (let j = i + 1; j < players.length; j += 1) {
+      const a = players[i];
+      const b = players[j];
+      const pairing = { a, b, wins: 0, draws: 0, losses: 0 };
+      const start = Date.now();
+
+      for (let game = 0; game < openings; game += 1) {
+        const opening = randomOpening(openingPlies, { ruleset, random });
+        // 同じ序盤で A が黒・白の両方を持つ
+        for (const aIsBlack of [true, false]) {
+          const outcome = aIsBlack
+            ? playGame(configs.get(a), configs.get(b), { ruleset, opening, random })
+            : playGame(configs.get(b), configs.get(a), { ruleset, opening, random });
+          if (!outcome.winner) {
+            pairing.draws += 1;
+          } else if ((outcome.winner === "black") === aIsBlack) {
+            pairing.wins += 1;
+          } else {
+            pairing.losses += 1;
+          }
+        }
+      }
+
+      const summary = summarizeRecord(pairing);
+      console.log(
+        `${a} vs ${b}: +${pairing.wins} =${pairing.draws} -${pairing.losses} ` +
+          `(${formatElo(summary.elo)} ${formatMargin(summary.margin)}) ${Date.now() - start} ms`
+      );
+      pairings.push(pairing);
+    }
+  }
+
+  // 勝ち・引き分け・負けの表（行の設定から見た結果）
+  console.log("");
+  console.log("[win/draw/loss]");
+  const nameWidth = Math.max(...players.map((name) => name.length));
+  const cellWidth = Math.max(9, nameWidth);
+  const widths = [nameWidth, ...players.map(() => cellWidth)];
+  console.log(formatRow(["", ...players], widths));
+  for (const row of players) {
+    const cells = players.map((column) => {
+      if (row === column) {
+        return "-";
+      }
+      const direct = pairings.find((entry) => entry.a === row && entry.b === column);
+      if (direct) {
+        return `${direct.wins}/${direct.draws}/${direct.losses}`;
+      }
+      const reverse = pairings.find((entry) => entry.a === column && entry.b === row);
+      return `${reverse.losses}/${reverse.draws}/${reverse.wins}`;
+    });
+    console.log(formatRow([row, ...cells], widths));
+  }
+
+  // 組み合わせごとのElo差
+  console.log("");
+  console.log("[pairwise elo, 95% interval]");
+  for (const pairing of pairings) {
+    const summary = summarizeRecord(pairing);
+    console.log(
+      `${pairing.a} - ${pairing.b}: ${formatElo(summary.elo)} ` +
+        `[${formatElo(summary.low)}, ${formatElo(summary.high)}] ` +
+        `score ${(summary.score * 100).toFixed(1)}% over ${summary.games} games`
+    );
+  }
+
+  // 全体のレーティング（平均0）
+  console.log("");
+  console.log("[ratings]");
+  const ratings = fitRatings(players, pairings).sort((x, y) => y.elo - x.elo);
+  for (const rating of ratings) {
+    console.log(
+      `${rating.name.padEnd(nameWidth)}  ${formatElo(rating.elo).padStart(5)} ` +
+        `${formatMargin(rating.margin).padStart(5)}  (${rating.games} games)`
+    );
+  }
+}
+
+run();
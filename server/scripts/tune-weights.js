@@ -0,0 +1,225 @@
+/**
+ * @fileoverview 評価関数の重みの調整スクリプト（Texel法）
+ *
+ * CPU同士の対局から局面を集め、各局面の評価値を勝率に変換した値が
+ * 実際の対局結果（手番側から見て勝ち1・引き分け0.5・負け0）に近づくよう重みを調整し、weights.json に書き出します。
+ * - 評価値は特徴量（ai.js の extractFeatures）と重みの内積なので、特徴量は局面ごとに一度だけ求めます
+ * - 勝率への変換 1 / (1 + exp(-評価値 / K)) の K を先に現在の重みで合わせ、その後は固定します
+ * - 重みは1つずつ ±step 動かして誤差が減れば採用し、改善がなくなったら step を半分にします
+ * - 手番側に即勝ちのマスがある局面は評価関数でなく探索で決まるため、学習に使いません
+ * - 5局に1局を検証用に取り分け、検証用の誤差も表示します
+ *
+ * 使い方:
+ *   node scripts/tune-weights.js [--games=100] [--level=normal] [--time=80] [--opening-plies=4]
+ *     [--seed=1] [--ruleset=classic] [--passes=20] [--out=weights.json]
+ */
+
+const path = require("path");
+const { getStateRuleset, applyAction, createNewGameState } = require("@yonmoque/rules");
+const { extractFeatures, findThreatCells } = require("../ai");
+const { CPU_LEVELS } = require("../cpu-levels");
+const { createRandom } = require("../random");
+const { playGame, randomOpening } = require("../selfplay");
+const {
+  WEIGHTS_FILE,
+  WEIGHT_KEYS,
+  weightsToVector,
+  vectorToWeights,
+  loadWeights,
+  saveWeights,
+} = require("../weights");
+
+/**
+ * --name=value 形式の引数を読み取ります。
+ * @param {string} name - 引数名
+ * @param {string} fallback - 既定値
+ * @returns {string} 値
+ */
+function readArg(name, fallback) {
+  const prefix = `--${name}=`;
+  const found = process.argv.find((arg) => arg.startsWith(prefix));
+  return found ? found.slice(prefix.length) : fallback;
+}
+
+const games = Number(readArg("games", "100"));
+const level = readArg("level", "normal");
+const timeLimitMs = Number(readArg("time", "80"));
+const openingPlies = Number(readArg("opening-plies", "4"));
+const seed = Number(readArg("seed", "1"));
+const ruleset = readArg("ruleset", "classic");
+const passes = Number(readArg("passes", "20"));
+const out = path.resolve(readArg("out", WEIGHTS_FILE));
+
+/** 1回の変化量の初期値（重みに対する割合） */
+const INITIAL_RATE = 0.2;
+
+/** 変化量の割合の下限（これより小さくなったら終了） */
+const MIN_RATE = 0.01;
+
+/**
+ * 手番側に即勝ちのマスがあるか（評価関数でなく探索で決まる局面か）を判定します。
+ * @param {Object} state - 局面
+ * @returns {boolean} 即勝ちのマスがあればtrue
+ */
+function isTactical(state) {
+  const rules = getStateRuleset(state);
+  return findThreatCells(state.board, state.turn, rules.winLength).size > 0;
+}
+
+/**
+ * 自己対局で局面と結果を集めます。
+ * @returns {{train: Array<Object>, validation: Array<Object>}} 局面 { features, result }
+ */
+function collectPositions() {
+  const config = { ...CPU_LEVELS[level], timeLimitMs };
+  const random = createRandom(seed).float;
+  const train = [];
+  const validation = [];
+  const start = Date.now();
+
+  for (let game = 0; game < games; game += 1) {
+    const opening = randomOpening(openingPlies, { ruleset, random });
+    const outcome = playGame(config, config, { ruleset, opening, random });
+    const target = game % 5 === 4 ? validation : train;
+
+    // 棋譜をたどり、序盤の後の静かな局面を手番側から見た結果と組にする
+    let state = createNewGameState({ ruleset });
+    for (const move of outcome.state.moves) {
+      if (state.moves.length >= openingPlies && !isTactical(state)) {
+        let result = 0.5;
+        if (outcome.winner) {
+          result = outcome.winner === state.turn ? 1 : 0;
+        }
+        target.push({ features: extractFeatures(state, state.turn), result });
+      }
+      state = applyAction(state, move).state;
+    }
+
+    if ((game + 1) % 10 === 0) {
+      console.log(`games ${game + 1}/${games}: ${train.length + validation.length} positions, ${Date.now() - start} ms`);
+    }
+  }
+
+  return { train, validation };
+}
+
+/**
+ * 局面集合に対する平均二乗誤差を求めます。
+ * @param {Array<Object>} positions - 局面 { features, result }
+ * @param {Array<number>} vector - 重みのベクトル
+ * @param {number} k - 勝率への変換の尺度
+ * @returns {number} 平均二乗誤差
+ */
+function meanError(positions, vector, k) {
+  let total = 0;
+  for (const { features, result } of positions) {
+    let score = 0;
+    for (let index = 0; index < features.length; index += 1) {
+      score += features[index] * vector[index];
+    }
+    const expected = 1 / (1 + Math.exp(-score / k));
+    total += (result - expected) ** 2;
+  }
+  return positions.length > 0 ? total / positions.length : 0;
+}
+
+/**
+ * 現在の重みで誤差が最小になる K を三分探索で求めます。
+ * @param {Array<Object>} positions - 局面
+ * @param {Array<number>} vector - 重みのベクトル
+ * @returns {number} K
+ */
+function fitScale(positions, vector) {
+  let low = 10;
+  let high = 100000;
+  for (let step = 0; step < 60; step += 1) {
+    const a = low + (high - low) / 3;
+    const b = high - (high - low) / 3;
+    if (meanError(positions, vector, a) < meanError(positions, vector, b)) {
+      high = b;
+    } else {
+      low = a;
+    }
+  }
+  return (low + high) / 2;
+}
+
+function run() {
+  if (!CPU_LEVELS[level]) {
+    console.error(`Unknown level: ${level} (${Object.keys(CPU_LEVELS).join(", ")})`);
+    process.exit(1);
+  }
+
+  const { train, validation } = collectPositions();
+  if (train.length === 0) {
+    console.error("No positions collected");
+    process.exit(1);
+  }
+
+  const initial = weightsToVector(loadWeights());
+  const k = fitScale(train, initial);
+  const initialTrain = meanError(train, initial, k);
+  const initialValidation = meanError(validation, initial, k);
+  console.log("");
+  console.log(`positions: ${train.length} train, ${validation.length} validation, K=${k.toFixed(1)}`);
+  console.log(`initial error: train ${initialTrain.toFixed(6)}, validation ${initialValidation.toFixed(6)}`);
+
+  const vector = [...initial];
+  let best = initialTrain;
+  let rate = INITIAL_RATE;
+  for (let pass = 0; pass < passes && rate >= MIN_RATE; pass += 1) {
+    let improved = false;
+    for (let index = 0; index < vector.length; index += 1) {
+      const step = Math.max(1, Math.round(Math.abs(vector[index]) * rate));
+      for (const direction of [1, -1]) {
+        const candidate = [...vector];
+        // 重みの符号は意味を持つため（相手のラインは失点）、負にはしない
+        candidate[index] = Math.max(0, vector[index] + direction * step);
+        if (candidate[index] === vector[index]) {
+          continue;
+        }
+        const error = meanError(train, candidate, k);
+        if (error < best) {
+          best = error;
+          vector[index] = candidate[index];
+          improved = true;
+          break;
+        }
+      }
+    }
+    console.log(
+      `pass ${pass + 1}: rate ${rate.toFixed(3)}, train ${best.toFixed(6)}, ` +
+        `validation ${meanError(validation, vector, k).toFixed(6)}`
+    );
+    if (!improved) {
+      rate /= 2;
+    }
+  }
+
+  const tuned = vectorToWeights(vector);
+  const finalValidation = meanError(validation, vector, k);
+  console.log("");
+  for (const [index, key] of WEIGHT_KEYS.entries()) {
+    console.log(`${key.padEnd(10)} ${String(initial[index]).padStart(6)} -> ${vector[index]}`);
+  }
+
+  saveWeights(
+    tuned,
+    {
+      method: "texel",
+      ruleset,
+      level,
+      games,
+      positions: train.length + validation.length,
+      scale: Number(k.toFixed(1)),
+      trainError: Number(best.toFixed(6)),
+      validationError: Number(finalValidation.toFixed(6)),
+    },
+    out
+  );
+  console.log("");
+  console.log(`validation error: ${initialValidation.toFixed(6)} -> ${finalValidation.toFixed(6)}`);
+  console.log(`Wrote ${out}`);
+}
+
+run();
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview CPU同士の対局（ベンチマーク・対戦比較用）
+ *
+ * ワーカーを使わず、同じスレッドで2つのCPU設定を対局させます。
+ *
+ * @module selfplay
+ */
+
+const {
+  createNewGameState,
+  applyAction,
+  listActions,
+} = require("@yonmoque/rules");
+const { getEngine } = require("./engines");
+const { createTranspositionTable } = require("./transposition");
+
+/**
+ * CPU設定同士で1局指します。
+ * @param {Object} black - 黒のCPU設定（CPU_LEVELS の値の形）
+ * @param {Object} white - 白のCPU設定
+ * @param {Object} [options={}] - オプション
+ * @param {string} [options.ruleset] - ルールセットID
+ * @param {Array<Object>} [options.opening] - 最初に指す手の列（先手・後手を入れ替えて同じ序盤から指すときに使う）
+ * @param {number} [options.randomPlies=0] - 序盤にランダムに指す手数（対局に変化をつける、opening の後に続く）
+ * @param {function(): number} [options.random=Math.random] - 乱数
+ * @returns {Object} { winner, result, plies, state }
+ */
+function playGame(black, white, options = {}) {
+  const random = options.random || Math.random;
+  const randomPlies = options.randomPlies || 0;
+  const configs = { black, white };
+  // 色ごとにトランスポジションテーブルを使い回す（サーバーと同じ）
+  const tables = { black: createTranspositionTable(), white: createTranspositionTable() };
+
+  const opening = options.opening || [];
+  let state = createNewGameState({ ruleset: options.ruleset });
+  while (state.status === "playing") {
+    const color = state.turn;
+    let action;
+    if (state.moves.length < opening.length) {
+      action = opening[state.moves.length];
+    } else if (state.moves.length < opening.length + randomPlies) {
+      const actions = listActions(state, color);
+      action = actions[Math.floor(random() * actions.length)];
+    } else {
+      const config = configs[color];
+      const searchBestMove = getEngine(config.engine);
+      action = searchBestMove(state, color, { ...config, table: tables[color], random });
+    }
+    if (!action) {
+      break;
+    }
+    state = applyAction(state, action).state;
+  }
+
+  return {
+    winner: state.winner,
+    result: state.result,
+    plies: state.moves.length,
+    state,
+  };
+}
+
+/**
+ * ランダムな手で序盤の手順を作ります（途中で終局する手は避けます）。
+ * @param {number} plies - 手数
+ * @param {Object} [options={}] - オプション
+ * @param {string} [options.ruleset] - ルールセットID
+ * @param {function(): number} [options.random=Math.random] - 乱数
+ * @returns {Array<Object>} 手の列
+ */
+function randomOpening(plies, options = {}) {
+  const random = options.random || Math.random;
+  let state = createNewGameState({ ruleset: options.ruleset });
+  const actions = [];
+  while (actions.length < plies) {
+    const candidates = listActions(state, state.turn).filter(
+      (action) => applyAction(state, action).state.status === "playing"
+    );
+    if (candidates.length === 0) {
+      break;
+    }
+    const action = candidates[Math.floor(random() * candidates.length)];
+    actions.push(action);
+    state = applyAction(state, action).state;
+  }
+  return actions;
+}
+
+module.exports = {
+  playGame,
+  randomOpening,
+};
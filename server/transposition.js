@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Zobristハッシュとトランスポジションテーブル
+ *
+ * 局面を (マス × 色) と (持ち駒の配置数) と手番の乱数のXORで表し、
+ * 1手ごとに差分だけ更新してキーを作ります。
+ * テーブルには探索深度と、値が正確な値か下限・上限かを記録します。
+ *
+ * キーは2つの32ビット値（hi, lo）を53ビットの数値にまとめたものです。
+ * 同一局面の繰り返し回数や手数はキーに含めません。
+ *
+ * @module transposition
+ */
+
+const { createRandom, seedFromString } = require("./random");
+
+/**
+ * テーブルに記録する値の種類
+ * - EXACT: 窓の内側で確定した正確な値
+ * - LOWER: ベータカットで打ち切った値（真の値はこれ以上）
+ * - UPPER: どの手もアルファを超えなかった値（真の値はこれ以下）
+ */
+const BOUND = Object.freeze({
+  EXACT: 0,
+  LOWER: 1,
+  UPPER: 2,
+});
+
+/** テーブルの既定の最大エントリ数 */
+const DEFAULT_MAX_ENTRIES = 100000;
+
+/** ルールセットIDごとの乱数表のキャッシュ */
+const zobristCache = new Map();
+
+/**
+ * ルールセットに対応するZobristの乱数表を取得します。
+ * 乱数表はルールセットIDから決まるシードで作るため、どのスレッドでも同じになります。
+ * @param {Object} rules - ルールセット
+ * @returns {Object} { size, pieces, placed, turn }
+ */
+function getZobrist(rules) {
+  const cached = zobristCache.get(rules.id);
+  if (cached) {
+    return cached;
+  }
+
+  const random = createRandom(seedFromString(`yonmoque:${rules.id}`));
+  const pair = () => [random.uint32() & 0x1fffff, random.uint32()];
+  const cells = rules.boardSize * rules.boardSize;
+
+  const zobrist = {
+    size: rules.boardSize,
+    // pieces[セル番号] = { black: [hi, lo], white: [hi, lo] }
+    pieces: Array.from({ length: cells }, () => ({ black: pair(), white: pair() })),
+    // placed[色][配置数] = [hi, lo]
+    placed: {
+      black: Array.from({ length: rules.maxPieces + 1 }, pair),
+      white: Array.from({ length: rules.maxPieces + 1 }, pair),
+    },
+    // 白番のときにXORする値
+    turn: pair(),
+  };
+
+  zobristCache.set(rules.id, zobrist);
+  return zobrist;
+}
+
+/**
+ * 2つの32ビット値を Map のキーに使える数値にまとめます。
+ * @param {number} hi - 上位21ビット
+ * @param {number} lo - 下位32ビット
+ * @returns {number} キー
+ */
+function toKey(hi, lo) {
+  return hi * 4294967296 + (lo >>> 0);
+}
+
+/**
+ * 局面のハッシュを最初から計算します。
+ * @param {Object} zobrist - 乱数表
+ * @param {Object} state - ゲーム状態
+ * @returns {{hi: number, lo: number, key: number}} ハッシュ
+ */
+function hashState(zobrist, state) {
+  let hi = 0;
+  let lo = 0;
+  const { size } = zobrist;
+
+  for (let row = 0; row < size; row += 1) {
+    for (let col = 0; col < size; col += 1) {
+      const piece = state.board[row][col];
+      if (piece) {
+        const [h, l] = zobrist.pieces[row * size + col][piece];
+        hi ^= h;
+        lo ^= l;
+      }
+    }
+  }
+
+  for (const color of ["black", "white"]) {
+    const [h, l] = zobrist.placed[color][state.placed[color]];
+    hi ^= h;
+    lo ^= l;
+  }
+
+  if (state.turn === "white") {
+    hi ^= zobrist.turn[0];
+    lo ^= zobrist.turn[1];
+  }
+
+  return { hi, lo, key: toKey(hi, lo) };
+}
+
+/**
+ * applySearchAction（または applyAction）で1手進めた局面のハッシュを、親局面のハッシュとの差分で計算します。
+ * @param {Object} zobrist - 乱数表
+ * @param {Object} hash - 親局面のハッシュ
+ * @param {Object} parent - 親局面
+ * @param {Object} child - 1手進めた局面（lastMove を持つ）
+ * @returns {{hi: number, lo: number, key: number}} ハッシュ
+ */
+function hashChild(zobrist, hash, parent, child) {
+  let { hi, lo } = hash;
+  const { size } = zobrist;
+  const move = child.lastMove;
+  const color = move.color;
+
+  const toggle = (row, col, piece) => {
+    const [h, l] = zobrist.pieces[row * size + col][piece];
+    hi ^= h;
+    lo ^= l;
+  };
+
+  if (move.type === "place") {
+    toggle(move.to.row, move.to.col, color);
+    const before = zobrist.placed[color][parent.placed[color]];
+    const after = zobrist.placed[color][child.placed[color]];
+    hi ^= before[0] ^ after[0];
+    lo ^= before[1] ^ after[1];
+  } else {
+    toggle(move.from.row, move.from.col, color);
+    toggle(move.to.row, move.to.col, color);
+    const opponent = color === "black" ? "white" : "black";
+    for (const [row, col] of move.flipped) {
+      toggle(row, col, opponent);
+      toggle(row, col, color);
+    }
+  }
+
+  if (parent.turn !== child.turn) {
+    hi ^= zobrist.turn[0];
+    lo ^= zobrist.turn[1];
+  }
+
+  return { hi, lo, key: toKey(hi, lo) };
+}
+
+/**
+ * トランスポジションテーブルを作成します。
+ * 上限を超えたら古いエントリから4分の1を捨てます。
+ * @param {Object} [options={}] - 設定
+ * @param {number} [options.maxEntries=100000] - 最大エントリ数
+ * @returns {Object} { get, set, clear, size }
+ */
+function createTranspositionTable(options = {}) {
+  const maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+  const entries = new Map();
+
+  /**
+   * エントリを取得します。
+   * @param {number} key - 局面のキー
+   * @returns {Object|undefined} { depth, score, bound, bestAction }
+   */
+  const get = (key) => entries.get(key);
+
+  /**
+   * エントリを記録します。
+   * 同じ局面のより深い探索結果は、浅い結果で上書きしません。
+   * @param {number} key - 局面のキー
+   * @param {Object} entry - { depth, score, bound, bestAction }
+   */
+  const set = (key, entry) => {
+    const existing = entries.get(key);
+    if (existing) {
+      if (existing.depth > entry.depth) {
+        return;
+      }
+      // 挿入順を更新し、新しいエントリとして扱う
+      entries.delete(key);
+    } else if (entries.size >= maxEntries) {
+      let remove = Math.ceil(maxEntries / 4);
+      for (const oldKey of entries.keys()) {
+        entries.delete(oldKey);
+        remove -= 1;
+        if (remove <= 0) {
+          break;
+        }
+      }
+    }
+    entries.set(key, entry);
+  };
+
+  const clear = () => entries.clear();
+
+  return {
+    get,
+    set,
+    clear,
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+module.exports = {
+  BOUND,
+  getZobrist,
+  hashState,
+  hashChild,
+  createTranspositionTable,
+};
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview 評価関数の重み
+ *
+ * evaluateState の重みを名前付きの値とベクトル（WEIGHT_KEYS の順）の両方で扱えるようにし、
+ * 調整済みの重みファイル（weights.json）があれば読み込みます。
+ * 重みファイルは scripts/tune-weights.js で作成します。ファイルがなければ手で決めた DEFAULT_WEIGHTS を使います。
+ *
+ * @module weights
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/** 重みファイルのパス */
+const WEIGHTS_FILE = path.join(__dirname, "weights.json");
+
+/** 重みファイルの形式のバージョン */
+const WEIGHTS_VERSION = 1;
+
+/**
+ * 重みの名前（ベクトルにするときの順）
+ * - win / near / build / single: 自分の勝ちの長さ・1短い・2短いライン、1目の得点
+ * - oppWin / oppNear / oppBuild / oppSingle: 相手の同じラインの失点
+ * - piece: 盤面上の駒の差1つあたりの得点
+ * - mobility: 実行可能なアクション数の差1つあたりの得点
+ */
+const WEIGHT_KEYS = Object.freeze([
+  "win",
+  "near",
+  "build",
+  "single",
+  "oppWin",
+  "oppNear",
+  "oppBuild",
+  "oppSingle",
+  "piece",
+  "mobility",
+]);
+
+/** 手で決めた重み（相手のラインは防御重視で自分より少し高め） */
+const DEFAULT_WEIGHTS = Object.freeze({
+  win: 8000,
+  near: 420,
+  build: 60,
+  single: 10,
+  oppWin: 8200,
+  oppNear: 440,
+  oppBuild: 70,
+  oppSingle: 10,
+  piece: 5,
+  mobility: 2,
+});
+
+/** 読み込んだ重み（ファイルのパスごと） */
+const loadedWeights = new Map();
+
+/**
+ * 重みをベクトルに変換します。
+ * @param {Object} weights - 重み
+ * @returns {Array<number>} WEIGHT_KEYS の順の値
+ */
+function weightsToVector(weights) {
+  return WEIGHT_KEYS.map((key) => weights[key]);
+}
+
+/**
+ * ベクトルを重みに変換します。
+ * @param {Array<number>} vector - WEIGHT_KEYS の順の値
+ * @returns {Object} 重み
+ */
+function vectorToWeights(vector) {
+  const weights = {};
+  WEIGHT_KEYS.forEach((key, index) => {
+    weights[key] = vector[index];
+  });
+  return Object.freeze(weights);
+}
+
+/**
+ * 重みファイルを読み込みます（結果はキャッシュ）。
+ * ファイルにない重みや数値でない重みは DEFAULT_WEIGHTS の値を使います。
+ * @param {string} [file=WEIGHTS_FILE] - 重みファイルのパス
+ * @returns {Object} 重み
+ */
+function loadWeights(file = WEIGHTS_FILE) {
+  if (loadedWeights.has(file)) {
+    return loadedWeights.get(file);
+  }
+
+  let weights = DEFAULT_WEIGHTS;
+  if (fs.existsSync(file)) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (parsed.version === WEIGHTS_VERSION && parsed.weights) {
+        weights = vectorToWeights(
+          WEIGHT_KEYS.map((key) =>
+            Number.isFinite(parsed.weights[key]) ? parsed.weights[key] : DEFAULT_WEIGHTS[key]
+          )
+        );
+      } else {
+        console.warn(`Ignoring weights file with unexpected format: ${file}`);
+      }
+    } catch (error) {
+      console.warn(`Failed to read weights file ${file}:`, error.message);
+    }
+  }
+
+  loadedWeights.set(file, weights);
+  return weights;
+}
+
+/**
+ * 重みファイルを書き出します。
+ * @param {Object} weights - 重み
+ * @param {Object} [meta={}] - 一緒に記録する情報（調整方法・局面数など）
+ * @param {string} [file=WEIGHTS_FILE] - 重みファイルのパス
+ */
+function saveWeights(weights, meta = {}, file = WEIGHTS_FILE) {
+  const body = {
+    version: WEIGHTS_VERSION,
+    ...meta,
+    weights: Object.fromEntries(WEIGHT_KEYS.map((key) => [key, weights[key]])),
+  };
+  fs.writeFileSync(file, `${JSON.stringify(body, null, 2)}\n`);
+  loadedWeights.delete(file);
+}
+
+module.exports = {
+  WEIGHTS_FILE,
+  WEIGHT_KEYS,
+  DEFAULT_WEIGHTS,
+  weightsToVector,
+  vectorToWeights,
+  loadWeights,
+  saveWeights,
+};
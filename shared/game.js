@@ -0,0 +1,1630 @@
+/**
+ * @fileoverview ヨンモクゲームのルールとロジックを実装するモジュール
+ *
+ * ヨンモクは5x5盤面で行う2人対戦ボードゲームです。
+ * 盤面サイズ・持ち駒数・勝敗のライン長・反転の有無はルールセットで変更できます。
+ * 以下はクラシックルールの説明です。
+ * - 各プレイヤーは6個の持ち駒を使用
+ * - 駒を打つか、盤上の駒を移動させる
+ * - 4目並べると勝ち、5目並べると負け
+ * - 移動で相手の駒を挟むと反転（オセロ風）
+ * - 手番で打つ手も動かす手もない（手詰まり）プレイヤーは負け
+ * - 同一局面が3回現れるか、手数が上限に達すると引き分け
+ *
+ * サーバーとクライアントの両方から同じルールを使うため、
+ * 依存パッケージを持たないCommonJSモジュール（@yonmoque/rules）として提供します。
+ * クライアントではViteがESモジュールに変換して読み込みます。
+ *
+ * @module game
+ */
+
+/** 引き分けになる同一局面の出現回数 */
+const REPETITION_LIMIT = 3;
+
+/** 手数上限のデフォルト値（この手数に達すると引き分け） */
+const DEFAULT_MAX_PLIES = 200;
+
+/**
+ * ルールセットを作成します。
+ * マスの色は盤面サイズから決まります。
+ * - 四隅と中央: 中立マス（どちらの色でもない特殊マス）
+ * - 行+列が偶数: 黒マス（斜め移動時に黒プレイヤーが利用できる）
+ * - 行+列が奇数: 白マス
+ * 奇数サイズの盤面ではこの配置は回転・反転に対して対称です。
+ * @param {Object} options - ルールの設定
+ * @param {string} options.id - ルールセットID
+ * @param {string} options.name - 表示名
+ * @param {number} options.boardSize - 盤面のサイズ（奇数）
+ * @param {number} options.maxPieces - 各プレイヤーの持ち駒数
+ * @param {number} options.winLength - 勝ちになるラインの長さ
+ * @param {number} options.loseLength - 負けになるラインの長さ
+ * @param {boolean} options.flips - 挟んだ駒を反転するかどうか
+ * @returns {Object} ルールセット
+ */
+function createRuleset(options) {
+  const { boardSize } = options;
+  const last = boardSize - 1;
+  const center = last / 2;
+
+  const neutralPositions = new Set([
+    '0,0',                  // 左上
+    `0,${last}`,            // 右上
+    `${last},0`,            // 左下
+    `${last},${last}`,      // 右下
+    `${center},${center}`,  // 中央
+  ]);
+
+  const blackPositions = new Set();
+  for (let row = 0; row < boardSize; row += 1) {
+    for (let col = 0; col < boardSize; col += 1) {
+      const key = `${row},${col}`;
+      if (!neutralPositions.has(key) && (row + col) % 2 === 0) {
+        blackPositions.add(key);
+      }
+    }
+  }
+
+  return Object.freeze({ ...options, neutralPositions, blackPositions });
+}
+
+/**
+ * 選択可能なルールセット
+ * - classic: 公式ルール（5x5、持ち駒6、4目勝ち・5目負け）
+ * - large: 7x7盤面、持ち駒8
+ * - noflip: 挟んでも反転しない
+ * @type {Object<string, Object>}
+ */
+const RULESETS = {
+  classic: createRuleset({
+    id: 'classic',
+    name: 'クラシック',
+    boardSize: 5,
+    maxPieces: 6,
+    winLength: 4,
+    loseLength: 5,
+    flips: true,
+  }),
+  large: createRuleset({
+    id: 'large',
+    name: '7x7',
+    boardSize: 7,
+    maxPieces: 8,
+    winLength: 4,
+    loseLength: 5,
+    flips: true,
+  }),
+  noflip: createRuleset({
+    id: 'noflip',
+    name: '反転なし',
+    boardSize: 5,
+    maxPieces: 6,
+    winLength: 4,
+    loseLength: 5,
+    flips: false,
+  }),
+};
+
+/** デフォルトのルールセットID */
+const DEFAULT_RULESET_ID = 'classic';
+
+/** いずれかのルールセットで使う最大の盤面サイズ */
+const MAX_BOARD_SIZE = Math.max(...Object.values(RULESETS).map((rules) => rules.boardSize));
+
+/** 盤面のサイズ（クラシックルール） */
+const BOARD_SIZE = RULESETS.classic.boardSize;
+
+/** 各プレイヤーの持ち駒数（クラシックルール） */
+const MAX_PIECES = RULESETS.classic.maxPieces;
+
+/**
+ * ルールセットを取得します。
+ * @param {string} id - ルールセットID
+ * @returns {Object} ルールセット（不明なIDの場合はクラシック）
+ */
+function getRuleset(id) {
+  return RULESETS[id] || RULESETS[DEFAULT_RULESET_ID];
+}
+
+/**
+ * ゲーム状態のルールセットを取得します。
+ * @param {Object} state - ゲーム状態
+ * @returns {Object} ルールセット
+ */
+function getStateRuleset(state) {
+  return getRuleset(state && state.ruleset);
+}
+
+/**
+ * 座標が盤面内かどうかを判定します。
+ * @param {number} row - 行番号
+ * @param {number} col - 列番号
+ * @param {number} [size=BOARD_SIZE] - 盤面のサイズ
+ * @returns {boolean} 盤面内ならtrue
+ */
+function inBounds(row, col, size = BOARD_SIZE) {
+  return row >= 0 && row < size && col >= 0 && col < size;
+}
+
+/**
+ * 指定座標のマスの種類を取得します。
+ * マスの種類は斜め移動の可否に影響します。
+ * @param {number} row - 行番号
+ * @param {number} col - 列番号
+ * @param {Object} [rules] - ルールセット（省略時はクラシック）
+ * @returns {'neutral'|'black'|'white'} マスの種類
+ */
+function getCellType(row, col, rules = RULESETS[DEFAULT_RULESET_ID]) {
+  const key = `${row},${col}`;
+  if (rules.neutralPositions.has(key)) {
+    return 'neutral';
+  }
+  if (rules.blackPositions.has(key)) {
+    return 'black';
+  }
+  return 'white';
+}
+
+/**
+ * 空の盤面を作成します。
+ * @param {number} [size=BOARD_SIZE] - 盤面のサイズ
+ * @returns {Array<Array<null>>} size x sizeのnull配列
+ */
+function createEmptyBoard(size = BOARD_SIZE) {
+  return Array.from({ length: size }, () => Array(size).fill(null));
+}
+
+/**
+ * 待機状態のゲーム状態を作成します。
+ * プレイヤーが準備完了するまでの初期状態。
+ * @param {Object} [options={}] - 対局オプション
+ * @param {string} [options.ruleset] - ルールセットID（省略時はクラシック）
+ * @returns {Object} 待機状態のゲーム状態
+ */
+function createWaitingState(options = {}) {
+  const rules = getRuleset(options.ruleset);
+  return {
+    ruleset: rules.id,                // ルールセットID
+    board: createEmptyBoard(rules.boardSize),
+    placed: { black: 0, white: 0 },  // 各プレイヤーの配置済み駒数
+    turn: 'black',                    // 現在の手番（黒が先手）
+    status: 'waiting',                // ゲーム状態
+    ready: { black: false, white: false },  // 準備完了フラグ
+    winner: null,                     // 勝者
+    result: null,                     // 終了理由
+    lastMove: null,                   // 最後の手
+    moves: [],                        // 棋譜（手順の履歴）
+    startedAt: null,                  // 対局開始日時
+    repetitions: {},                  // 局面ごとの出現回数（千日手判定用）
+    maxPlies: DEFAULT_MAX_PLIES,      // 手数上限
+  };
+}
+
+/**
+ * 新しいゲームを開始する状態を作成します。
+ * 両プレイヤーが準備完了した時に使用。
+ * @param {Object} [options={}] - 対局オプション
+ * @param {string} [options.ruleset] - ルールセットID（省略時はクラシック）
+ * @param {number} [options.maxPlies] - 手数上限（省略時はDEFAULT_MAX_PLIES）
+ * @returns {Object} プレイ中のゲーム状態
+ */
+function createNewGameState(options = {}) {
+  const rules = getRuleset(options.ruleset);
+  return {
+    ruleset: rules.id,
+    board: createEmptyBoard(rules.boardSize),
+    placed: { black: 0, white: 0 },
+    turn: 'black',
+    status: 'playing',
+    ready: { black: true, white: true },
+    winner: null,
+    result: null,
+    lastMove: null,
+    moves: [],
+    startedAt: new Date().toISOString(),
+    repetitions: {},
+    maxPlies: normalizeMaxPlies(options.maxPlies),
+  };
+}
+
+/**
+ * ゲーム状態を正規化します。
+ * 不正なデータや欠損フィールドを修正して有効な状態を返します。
+ * @param {Object} state - 正規化するゲーム状態
+ * @returns {Object} 正規化されたゲーム状態
+ */
+function normalizeState(state) {
+  // 無効な状態は待機状態に初期化
+  if (!state || typeof state !== 'object') {
+    return createWaitingState();
+  }
+
+  const rules = getStateRuleset(state);
+
+  // 盤面を正規化（ルールセットの盤面サイズに合わせる）
+  const board = createEmptyBoard(rules.boardSize);
+  if (Array.isArray(state.board)) {
+    for (let row = 0; row < rules.boardSize; row += 1) {
+      const sourceRow = state.board[row];
+      if (!Array.isArray(sourceRow)) {
+        continue;
+      }
+      for (let col = 0; col < rules.boardSize; col += 1) {
+        const cell = sourceRow[col];
+        // 有効な値のみコピー
+        if (cell === 'black' || cell === 'white') {
+          board[row][col] = cell;
+        }
+      }
+    }
+  }
+
+  // 配置数と準備状態を正規化
+  const placed = state.placed || { black: 0, white: 0 };
+  const ready = state.ready || { black: false, white: false };
+
+  return {
+    ruleset: rules.id,
+    board,
+    placed: {
+      black: Number.isFinite(placed.black) ? placed.black : 0,
+      white: Number.isFinite(placed.white) ? placed.white : 0,
+    },
+    turn: state.turn === 'white' ? 'white' : 'black',
+    status: state.status || 'waiting',
+    ready: {
+      black: Boolean(ready.black),
+      white: Boolean(ready.white),
+    },
+    winner: state.winner || null,
+    result: state.result || null,
+    lastMove: state.lastMove || null,
+    moves: normalizeMoves(state.moves),
+    startedAt: state.startedAt || null,
+    repetitions: normalizeRepetitions(state.repetitions),
+    maxPlies: normalizeMaxPlies(state.maxPlies),
+  };
+}
+
+/**
+ * 手数上限を正規化します。
+ * @param {*} value - 手数上限
+ * @returns {number} 正の整数の手数上限（不正な値はDEFAULT_MAX_PLIES）
+ */
+function normalizeMaxPlies(value) {
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_PLIES;
+}
+
+/**
+ * 局面ごとの出現回数を正規化します。
+ * @param {Object} repetitions - 局面キーから出現回数へのマップ
+ * @returns {Object} 正規化されたマップのコピー
+ */
+function normalizeRepetitions(repetitions) {
+  const result = {};
+  if (!repetitions || typeof repetitions !== 'object') {
+    return result;
+  }
+  for (const [key, count] of Object.entries(repetitions)) {
+    if (Number.isInteger(count) && count > 0) {
+      result[key] = count;
+    }
+  }
+  return result;
+}
+
+/**
+ * 棋譜（手順の履歴）を正規化します。
+ * 不正なエントリは除外し、手数（ply）を1からの連番に振り直します。
+ * @param {Array<Object>} moves - 正規化する棋譜
+ * @returns {Array<Object>} 正規化された棋譜のコピー
+ */
+function normalizeMoves(moves) {
+  if (!Array.isArray(moves)) {
+    return [];
+  }
+
+  const result = [];
+  for (const move of moves) {
+    if (!move || typeof move !== 'object') {
+      continue;
+    }
+    if (move.type !== 'place' && move.type !== 'move') {
+      continue;
+    }
+    if (move.color !== 'black' && move.color !== 'white') {
+      continue;
+    }
+    result.push({
+      ply: result.length + 1,
+      type: move.type,
+      color: move.color,
+      from: move.from ? { row: move.from.row, col: move.from.col } : null,
+      to: move.to ? { row: move.to.row, col: move.to.col } : null,
+      flipped: Array.isArray(move.flipped) ? move.flipped.map(([r, c]) => [r, c]) : [],
+      decidedBy: move.decidedBy || null,
+      at: move.at || null,
+    });
+  }
+  return result;
+}
+
+/**
+ * 相手の色を取得します。
+ * @param {'black'|'white'} color - 現在の色
+ * @returns {'black'|'white'} 相手の色
+ */
+function getOpponent(color) {
+  return color === 'black' ? 'white' : 'black';
+}
+
+/**
+ * 1マス移動が有効かどうかを判定します。
+ * 隣接8方向への移動を許可。
+ * @param {Array<Array<string|null>>} board - 盤面
+ * @param {Object} from - 移動元座標
+ * @param {Object} to - 移動先座標
+ * @returns {boolean} 有効な移動ならtrue
+ */
+function isValidStepMove(board, from, to) {
+  const dr = Math.abs(to.row - from.row);
+  const dc = Math.abs(to.col - from.col);
+  // 1マス以内で、移動あり、盤面内
+  return (dr <= 1 && dc <= 1 && (dr + dc > 0) && inBounds(to.row, to.col, board.length));
+}
+
+/**
+ * 斜めスライド移動が拒否される理由を調べます。
+ * 自分の色のマスを連続して斜めに移動できる特殊ルール。
+ * @param {Array<Array<string|null>>} board - 盤面
+ * @param {'black'|'white'} color - 移動するプレイヤーの色
+ * @param {Object} from - 移動元座標
+ * @param {Object} to - 移動先座標
+ * @param {Object} rules - ルールセット
+ * @returns {Object|null} 拒否理由 { code, at, ... }。有効な移動ならnull
+ */
+function findSlideRejection(board, color, from, to, rules) {
+  const dr = to.row - from.row;
+  const dc = to.col - from.col;
+  const distance = Math.abs(dr);
+
+  // 2マス以上で、斜め方向（45度）でなければ届かない
+  if (distance <= 1 || distance !== Math.abs(dc)) {
+    return { code: 'not_reachable', at: to };
+  }
+
+  // 開始位置が自分の色のマスでなければ無効
+  const startType = getCellType(from.row, from.col, rules);
+  if (startType !== color) {
+    return { code: 'slide_start_not_own_color', at: from, cellType: startType };
+  }
+
+  // 移動方向を計算
+  const stepRow = Math.sign(dr);
+  const stepCol = Math.sign(dc);
+
+  // 経路上のすべてのマスをチェック
+  for (let i = 1; i <= distance; i += 1) {
+    const at = { row: from.row + stepRow * i, col: from.col + stepCol * i };
+
+    // 盤面外は無効
+    if (!inBounds(at.row, at.col, rules.boardSize)) {
+      return { code: 'out_of_bounds', at };
+    }
+
+    // 自分の色のマスでなければ無効
+    const cellType = getCellType(at.row, at.col, rules);
+    if (cellType !== color) {
+      return { code: 'slide_path_not_own_color', at, cellType };
+    }
+
+    // 途中に駒があれば無効（最終地点は除く）
+    if (i < distance && board[at.row][at.col] !== null) {
+      return { code: 'slide_blocked', at, piece: board[at.row][at.col] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 挟まれた相手の駒を反転させます（オセロ風ルール）。
+ * 移動後の位置から8方向に相手の駒が挟まれているかチェックし、
+ * 挟まれている駒を自分の色に反転させます。
+ * @param {Array<Array<string|null>>} board - 盤面（直接変更される）
+ * @param {'black'|'white'} color - 移動したプレイヤーの色
+ * @param {Object} origin - 移動先の座標
+ * @returns {Array<Array<number>>} 反転した駒の座標配列 [[row, col], ...]
+ */
+function flipSandwiched(board, color, origin) {
+  const opponent = getOpponent(color);
+
+  // 8方向をチェック
+  const directions = [
+    [1, 0],   // 下
+    [-1, 0],  // 上
+    [0, 1],   // 右
+    [0, -1],  // 左
+    [1, 1],   // 右下
+    [1, -1],  // 左下
+    [-1, 1],  // 右上
+    [-1, -1], // 左上
+  ];
+
+  const flipped = [];
+
+  for (const [dr, dc] of directions) {
+    const candidates = [];
+    let row = origin.row + dr;
+    let col = origin.col + dc;
+
+    // 相手の駒が続く限り候補に追加
+    while (inBounds(row, col, board.length) && board[row][col] === opponent) {
+      candidates.push([row, col]);
+      row += dr;
+      col += dc;
+    }
+
+    // 相手の駒の後に自分の駒があれば挟んでいる
+    if (candidates.length > 0 && inBounds(row, col, board.length) && board[row][col] === color) {
+      // 挟まれた駒を反転
+      for (const [r, c] of candidates) {
+        board[r][c] = color;
+        flipped.push([r, c]);
+      }
+    }
+  }
+
+  return flipped;
+}
+
+/**
+ * 指定色のライン（縦・横・斜めに連続した駒）をすべて取得します。
+ * 各ラインは連続の先頭から末尾までを1本として数えます（長さ1も含む）。
+ * @param {Array<Array<string|null>>} board - 盤面
+ * @param {'black'|'white'} color - チェックする色
+ * @returns {Array<{length: number, cells: Array<Array<number>>}>} ラインの配列
+ */
+function findLines(board, color) {
+  // 縦・横・斜め（右下、左下）の4方向
+  const directions = [
+    [1, 0],   // 縦
+    [0, 1],   // 横
+    [1, 1],   // 右下斜め
+    [-1, 1],  // 左下斜め
+  ];
+
+  const size = board.length;
+  const lines = [];
+
+  for (let row = 0; row < size; row += 1) {
+    for (let col = 0; col < size; col += 1) {
+      // 指定色の駒でなければスキップ
+      if (board[row][col] !== color) {
+        continue;
+      }
+
+      for (const [dr, dc] of directions) {
+        // ラインの先頭からのみカウント（重複防止）
+        const prevRow = row - dr;
+        const prevCol = col - dc;
+        if (inBounds(prevRow, prevCol, size) && board[prevRow][prevCol] === color) {
+          continue;
+        }
+
+        // ラインのマスを集める
+        const cells = [];
+        let r = row;
+        let c = col;
+        while (inBounds(r, c, size) && board[r][c] === color) {
+          cells.push([r, c]);
+          r += dr;
+          c += dc;
+        }
+
+        lines.push({ length: cells.length, cells });
+      }
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * 指定色の最長ライン（連続した駒の数）を取得します。
+ * @param {Array<Array<string|null>>} board - 盤面
+ * @param {'black'|'white'} color - チェックする色
+ * @returns {number} 最長ラインの長さ
+ */
+function getMaxLine(board, color) {
+  return findLines(board, color).reduce((max, line) => Math.max(max, line.length), 0);
+}
+
+/**
+ * 8方向の移動ベクトル
+ * 縦・横・斜めすべての方向を含む
+ * @type {Array<Array<number>>}
+ */
+const STEP_DIRECTIONS = [
+  [1, 0],   // 下
+  [-1, 0],  // 上
+  [0, 1],   // 右
+  [0, -1],  // 左
+  [1, 1],   // 右下
+  [1, -1],  // 左下
+  [-1, 1],  // 右上
+  [-1, -1], // 左上
+];
+
+/**
+ * 斜め方向のみの移動ベクトル
+ * 斜めスライド移動で使用
+ * @type {Array<Array<number>>}
+ */
+const DIAGONAL_DIRECTIONS = [
+  [1, 1],   // 右下
+  [1, -1],  // 左下
+  [-1, 1],  // 右上
+  [-1, -1], // 左上
+];
+
+/**
+ * 指定されたプレイヤーが実行可能なすべてのアクションを列挙します。
+ * @param {Object} state - 現在のゲーム状態
+ * @param {'black'|'white'} color - アクションを実行するプレイヤーの色
+ * @returns {Array<Object>} 実行可能なアクションの配列
+ */
+function listActions(state, color) {
+  const rules = getStateRuleset(state);
+  const size = rules.boardSize;
+  const actions = [];
+
+  // === 駒を打つアクション ===
+  // 持ち駒が残っている場合のみ
+  if (state.placed[color] < rules.maxPieces) {
+    for (let row = 0; row < size; row += 1) {
+      for (let col = 0; col < size; col += 1) {
+        // 空きマスに配置可能
+        if (state.board[row][col] === null) {
+          actions.push({ type: 'place', color, to: { row, col } });
+        }
+      }
+    }
+  }
+
+  // === 駒を移動するアクション ===
+  for (let row = 0; row < size; row += 1) {
+    for (let col = 0; col < size; col += 1) {
+      // 自分の駒でなければスキップ
+      if (state.board[row][col] !== color) {
+        continue;
+      }
+
+      const from = { row, col };
+
+      // --- 1マス移動（8方向） ---
+      for (const [dr, dc] of STEP_DIRECTIONS) {
+        const toRow = row + dr;
+        const toCol = col + dc;
+
+        // 盤面外または既に駒がある場合はスキップ
+        if (!inBounds(toRow, toCol, size) || state.board[toRow][toCol] !== null) {
+          continue;
+        }
+
+        actions.push({ type: 'move', color, from, to: { row: toRow, col: toCol } });
+      }
+
+      // --- 斜めスライド移動 ---
+      // 自分の色のマス上にいる場合のみ
+      if (getCellType(row, col, rules) !== color) {
+        continue;
+      }
+
+      for (const [dr, dc] of DIAGONAL_DIRECTIONS) {
+        let step = 1;
+        while (true) {
+          const toRow = row + dr * step;
+          const toCol = col + dc * step;
+
+          // 盤面外、自分の色以外のマス、駒のあるマスで終了
+          if (
+            !inBounds(toRow, toCol, size) ||
+            getCellType(toRow, toCol, rules) !== color ||
+            state.board[toRow][toCol] !== null
+          ) {
+            break;
+          }
+
+          // 2マス以上の移動のみ追加（1マス移動は上で処理済み）
+          if (step >= 2) {
+            actions.push({ type: 'move', color, from, to: { row: toRow, col: toCol } });
+          }
+
+          step += 1;
+        }
+      }
+    }
+  }
+
+  return actions;
+}
+
+/**
+ * 指定されたプレイヤーに実行可能なアクションが1つでもあるかを判定します。
+ * 斜めスライドは隣の斜めマスが空いていることが前提なので、
+ * 1マス移動と配置だけを調べれば十分です。
+ * @param {Object} state - 現在のゲーム状態
+ * @param {'black'|'white'} color - 判定するプレイヤーの色
+ * @returns {boolean} アクションがあればtrue
+ */
+function hasLegalAction(state, color) {
+  const rules = getStateRuleset(state);
+  const size = rules.boardSize;
+  const canPlace = state.placed[color] < rules.maxPieces;
+
+  for (let row = 0; row < size; row += 1) {
+    for (let col = 0; col < size; col += 1) {
+      const cell = state.board[row][col];
+
+      // 空きマスがあれば打てる
+      if (cell === null) {
+        if (canPlace) {
+          return true;
+        }
+        continue;
+      }
+
+      if (cell !== color) {
+        continue;
+      }
+
+      // 隣接する空きマスがあれば動かせる
+      for (const [dr, dc] of STEP_DIRECTIONS) {
+        const toRow = row + dr;
+        const toCol = col + dc;
+        if (inBounds(toRow, toCol, size) && state.board[toRow][toCol] === null) {
+          return true;
+        }
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * 勝敗を評価します。
+ * - loseLength（クラシックでは5）目以上並ぶと負け
+ * - winLength（クラシックでは4）目並ぶと勝ち
+ * @param {Array<Array<string|null>>} board - 盤面
+ * @param {'black'|'white'} color - 評価するプレイヤーの色
+ * @param {Object} [rules] - ルールセット（省略時はクラシック）
+ * @returns {Object} 評価結果
+ * @returns {'win'|'lose'|null} return.result - 勝敗結果
+ * @returns {number} return.maxLine - 最長ラインの長さ
+ */
+function evaluateOutcome(board, color, rules = RULESETS[DEFAULT_RULESET_ID]) {
+  const maxLine = getMaxLine(board, color);
+
+  if (maxLine >= rules.loseLength) {
+    // 負けになる長さ以上
+    return { result: 'lose', maxLine };
+  }
+  if (maxLine >= rules.winLength) {
+    // 勝ちになる長さ
+    return { result: 'win', maxLine };
+  }
+
+  // 勝敗なし
+  return { result: null, maxLine };
+}
+
+/**
+ * 手を指した後の勝敗判定の優先順位
+ * 上から順に調べ、最初に該当したラインで勝敗を決定します。
+ * 反転により複数のラインが同時にできた場合もこの順で判定します。
+ * - owner: ラインを持つ側（mover=手を指した側、opponent=相手）
+ * - length: 該当するラインの最小の長さ（ルールセットのloseLength/winLength）
+ * - winner: 勝者（mover/opponent）
+ * - result: 終了理由
+ * @type {Array<Object>}
+ */
+const OUTCOME_PRECEDENCE = [
+  { owner: 'mover', length: 'loseLength', winner: 'opponent', result: 'five' },
+  { owner: 'mover', length: 'winLength', winner: 'mover', result: 'four' },
+  { owner: 'opponent', length: 'loseLength', winner: 'mover', result: 'five' },
+  { owner: 'opponent', length: 'winLength', winner: 'opponent', result: 'four' },
+];
+
+/**
+ * 手を指した後の盤面で、両方の色のラインから勝敗を判定します。
+ * @param {Array<Array<string|null>>} board - 盤面
+ * @param {'black'|'white'} mover - 手を指したプレイヤーの色
+ * @param {Object} [rules] - ルールセット（省略時はクラシック）
+ * @returns {Object|null} 勝敗（決着なしの場合はnull）
+ * @returns {'black'|'white'} return.winner - 勝者
+ * @returns {'four'|'five'} return.result - 終了理由
+ * @returns {Object} return.line - 勝敗を決めたライン（color, length, cells）
+ */
+function decideOutcome(board, mover, rules = RULESETS[DEFAULT_RULESET_ID]) {
+  const colors = { mover, opponent: getOpponent(mover) };
+  const lines = {
+    mover: findLines(board, colors.mover),
+    opponent: findLines(board, colors.opponent),
+  };
+
+  for (const rule of OUTCOME_PRECEDENCE) {
+    const minLength = rules[rule.length];
+    const line = lines[rule.owner].find((candidate) => candidate.length >= minLength);
+    if (line) {
+      return {
+        winner: colors[rule.winner],
+        result: rule.result,
+        line: { color: colors[rule.owner], length: line.length, cells: line.cells },
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * applyAction の拒否結果を組み立てます。
+ * error は従来どおりの大まかなコード、reason は理由の詳細と問題のマス（at）です。
+ * @param {string} error - エラーコード
+ * @param {Object} reason - 拒否理由 { code, at, ... }
+ * @returns {Object} { ok: false, error, reason }
+ */
+function rejectAction(error, reason) {
+  return { ok: false, error, reason };
+}
+
+/**
+ * アクション（駒を打つ or 移動する）を適用します。
+ * ゲームロジックの中核となる関数。
+ * @param {Object} state - 現在のゲーム状態
+ * @param {Object} action - 適用するアクション
+ * @param {'place'|'move'} action.type - アクションの種類
+ * @param {'black'|'white'} action.color - アクションを行うプレイヤーの色
+ * @param {Object} [action.from] - 移動元座標（moveの場合のみ）
+ * @param {Object} action.to - 移動先座標
+ * @returns {Object} 結果オブジェクト
+ * @returns {boolean} return.ok - 成功したかどうか
+ * @returns {string} [return.error] - 失敗理由
+ * @returns {Object} [return.reason] - 失敗理由の詳細（code と問題のマス at）
+ * @returns {Object} [return.state] - 成功時の新しいゲーム状態
+ */
+function applyAction(state, action) {
+  // 状態を正規化してコピー
+  return playAction(normalizeState(state), action, false);
+}
+
+/** 探索用の局面で、配置後（繰り返しのない）局面の出現回数 */
+const NO_REPETITIONS = Object.freeze({});
+
+/**
+ * 局面の手数（指した手の数）を返します。
+ * applyAction の状態では棋譜の長さ、applySearchAction の状態では plies です。
+ * @param {Object} state - ゲーム状態
+ * @returns {number} 手数
+ */
+function countPlies(state) {
+  return Number.isInteger(state.plies) ? state.plies : (state.moves || []).length;
+}
+
+/**
+ * 探索用に1手進めます（applyAction の軽量版）。
+ * 合法性の判定と勝敗・千日手・手数上限の判定は applyAction と同じですが、
+ * 棋譜（moves）や準備状態などの履歴はコピーせず、盤面・配置済み駒数・手番・勝敗・手数（plies）と
+ * 同一局面の出現回数だけを進めます。出現回数は元の対局の repetitions を共有し（変更しない）、
+ * 探索中に現れた局面を repetitionPath（{ key, next } の連結リスト）に積みます。
+ * 結果の状態は listActions・hasLegalAction・applySearchAction・getPositionKey に渡せますが、
+ * applyAction や normalizeState には渡さないでください（手数と出現回数が失われます）。
+ * @param {Object} state - 現在のゲーム状態（applyAction または applySearchAction の結果）
+ * @param {Object} action - 適用するアクション
+ * @returns {Object} applyAction と同じ結果オブジェクト（state.lastMove は at を持たない）
+ */
+function applySearchAction(state, action) {
+  const next = {
+    ruleset: state.ruleset,
+    board: state.board.map((row) => row.slice()),
+    placed: { black: state.placed.black, white: state.placed.white },
+    turn: state.turn,
+    status: state.status,
+    winner: state.winner,
+    result: state.result,
+    lastMove: state.lastMove,
+    maxPlies: state.maxPlies,
+    plies: countPlies(state),
+    repetitions: state.repetitions || NO_REPETITIONS,
+    repetitionPath: state.repetitionPath || null,
+  };
+  return playAction(next, action, true);
+}
+
+/**
+ * 局面の出現回数を返します（探索用の局面では探索中に現れた分も数える）。
+ * @param {Object} state - ゲーム状態
+ * @param {string} key - 局面キー
+ * @returns {number} 出現回数
+ */
+function countRepetitions(state, key) {
+  let count = state.repetitions[key] || 0;
+  for (let entry = state.repetitionPath; entry; entry = entry.next) {
+    if (entry.key === key) {
+      count += 1;
+    }
+  }
+  return count;
+}
+
+/**
+ * 現在の局面がこれまでに現れた回数を返します（現在の局面を含む。千日手の判定と同じ数え方）。
+ * 探索用の局面では、対局の履歴に探索中に現れた分を加えて数えます。
+ * @param {Object} state - ゲーム状態
+ * @returns {number} 出現回数（REPETITION_LIMIT に達すると千日手）
+ */
+function countPositionRepetitions(state) {
+  const history = { repetitions: state.repetitions || NO_REPETITIONS, repetitionPath: state.repetitionPath || null };
+  return countRepetitions(history, getPositionKey(state));
+}
+
+/**
+ * コピー済みの状態にアクションを適用します（applyAction と applySearchAction の共通部分）。
+ * @param {Object} next - コピー済みのゲーム状態（この関数が変更する）
+ * @param {Object} action - 適用するアクション
+ * @param {boolean} search - 探索用の状態か（棋譜を持たず、出現回数を repetitionPath に積む）
+ * @returns {Object} applyAction と同じ結果オブジェクト
+ */
+function playAction(next, action, search) {
+  const rules = getStateRuleset(next);
+  const size = rules.boardSize;
+  const { type, color } = action;
+
+  // ゲームが進行中でなければ拒否
+  if (next.status !== 'playing') {
+    return rejectAction('game_not_active', { code: 'game_not_active', at: null, status: next.status });
+  }
+
+  // 手番でなければ拒否
+  if (color !== next.turn) {
+    return rejectAction('not_your_turn', { code: 'not_your_turn', at: null, turn: next.turn });
+  }
+
+  // 無効な色は拒否
+  if (color !== 'black' && color !== 'white') {
+    return rejectAction('invalid_color', { code: 'invalid_color', at: null });
+  }
+
+  let from = null;
+  let to = null;
+  let flipped = [];
+
+  if (type === 'place') {
+    // === 駒を打つ ===
+    to = action.to;
+
+    // 座標チェック
+    if (!to || !inBounds(to.row, to.col, size)) {
+      return rejectAction('invalid_target', { code: 'out_of_bounds', at: to || null });
+    }
+
+    // 持ち駒チェック
+    if (next.placed[color] >= rules.maxPieces) {
+      return rejectAction('no_pieces_left', {
+        code: 'no_pieces_left',
+        at: to,
+        placed: next.placed[color],
+        maxPieces: rules.maxPieces,
+      });
+    }
+
+    // 空きマスチェック
+    if (next.board[to.row][to.col] !== null) {
+      return rejectAction('occupied', { code: 'occupied', at: to, piece: next.board[to.row][to.col] });
+    }
+
+    // 駒を配置
+    next.board[to.row][to.col] = color;
+    next.placed[color] += 1;
+
+    // 配置した駒は戻らないため、これ以前の局面は二度と現れない
+    if (search) {
+      next.repetitions = NO_REPETITIONS;
+      next.repetitionPath = null;
+    } else {
+      next.repetitions = {};
+    }
+
+  } else if (type === 'move') {
+    // === 駒を移動する ===
+    from = action.from;
+    to = action.to;
+
+    // 座標チェック
+    if (!from || !inBounds(from.row, from.col, size)) {
+      return rejectAction('invalid_target', { code: 'out_of_bounds', at: from || null });
+    }
+    if (!to || !inBounds(to.row, to.col, size)) {
+      return rejectAction('invalid_target', { code: 'out_of_bounds', at: to || null });
+    }
+
+    // 自分の駒かチェック
+    const piece = next.board[from.row][from.col];
+    if (piece !== color) {
+      return rejectAction('not_your_piece', {
+        code: piece === null ? 'empty_square' : 'opponent_piece',
+        at: from,
+      });
+    }
+
+    // 移動先が空きマスかチェック
+    if (next.board[to.row][to.col] !== null) {
+      return rejectAction('occupied', { code: 'occupied', at: to, piece: next.board[to.row][to.col] });
+    }
+
+    // 移動が有効かチェック（1マス移動 or 斜めスライド）
+    if (!isValidStepMove(next.board, from, to)) {
+      const reason = findSlideRejection(next.board, color, from, to, rules);
+      if (reason) {
+        return rejectAction('invalid_move', reason);
+      }
+    }
+
+    // 駒を移動
+    next.board[from.row][from.col] = null;
+    next.board[to.row][to.col] = color;
+
+    // 挟まれた駒を反転（反転なしのルールセットを除く）
+    if (rules.flips) {
+      flipped = flipSandwiched(next.board, color, to);
+    }
+
+  } else {
+    return rejectAction('invalid_action', { code: 'invalid_action', at: null });
+  }
+
+  // 勝敗判定（両方の色のラインを優先順位に従って評価）
+  const outcome = decideOutcome(next.board, color, rules);
+  if (outcome) {
+    next.status = 'finished';
+    next.winner = outcome.winner;
+    next.result = outcome.result;
+  } else {
+    // ゲーム続行、手番交代
+    next.turn = getOpponent(color);
+
+    // 相手に打つ手も動かす手もなければ手詰まりで相手の負け
+    if (!hasLegalAction(next, next.turn)) {
+      next.status = 'finished';
+      next.winner = color;
+      next.result = 'no_moves';
+    }
+  }
+
+  const ply = countPlies(next) + 1;
+
+  if (next.status === 'playing') {
+    // 同一局面の出現回数を記録
+    const key = getPositionKey(next);
+    let count;
+    if (search) {
+      count = countRepetitions(next, key) + 1;
+      next.repetitionPath = { key, next: next.repetitionPath };
+    } else {
+      count = (next.repetitions[key] || 0) + 1;
+      next.repetitions[key] = count;
+    }
+
+    if (count >= REPETITION_LIMIT) {
+      // 同一局面の繰り返しで引き分け
+      next.status = 'finished';
+      next.winner = null;
+      next.result = 'repetition';
+    } else if (ply >= next.maxPlies) {
+      // 手数上限で引き分け
+      next.status = 'finished';
+      next.winner = null;
+      next.result = 'move_limit';
+    }
+  }
+
+  // 最後の手を記録（探索用の状態では手数だけ進め、棋譜には追加しない）
+  next.lastMove = {
+    ply,
+    type,
+    color,
+    from,
+    to,
+    flipped,
+    decidedBy: outcome ? outcome.line : null,
+    at: search ? null : new Date().toISOString(),
+  };
+  if (search) {
+    next.plies = ply;
+  } else {
+    next.moves.push(next.lastMove);
+  }
+
+  return { ok: true, state: next };
+}
+
+/**
+ * 指定されたプレイヤーの合法手を、各手を指した結果のプレビュー付きで列挙します。
+ * ボットや別クライアントがスライドや反転のルールを再実装せずに済むようにするためのものです。
+ * @param {Object} state - 現在のゲーム状態
+ * @param {'black'|'white'} color - アクションを実行するプレイヤーの色
+ * @returns {Array<Object>} { type, color, from, to, notation, flipped, status, winner, result } の配列
+ */
+function previewActions(state, color) {
+  if (state.status !== 'playing' || state.turn !== color) {
+    return [];
+  }
+
+  return listActions(state, color).map((action) => {
+    const applied = applyAction(state, action);
+    const { lastMove, status, winner, result } = applied.state;
+    return {
+      type: action.type,
+      color,
+      from: action.from || null,
+      to: action.to,
+      notation: formatAction(action),
+      flipped: lastMove.flipped,
+      status,
+      winner,
+      result,
+    };
+  });
+}
+
+// =============================================================================
+// 棋譜表記
+// =============================================================================
+//
+// 1手の表記:
+//   - 駒を打つ: "P c3"（P + マス）
+//   - 駒を動かす: "M b2-d4"（M + 移動元-移動先）
+// マスは列を a から始まる英字、行を 1 から始まる数字（盤面の上から）で表します。
+// 例: 左上は a1、中央は c3、右下は e5。
+//
+// 対局全体の表記（ヘッダー + 指し手）:
+//   [Game "Yonmoque"]
+//   [Ruleset "classic"]
+//   [Black "alice"]
+//   [White "CPU"]
+//   [Date "2026.01.02"]
+//   [Result "black"]
+//   [Reason "four"]
+//
+//   1. P c3 P b2
+//   2. M c3-d4 P a1
+
+/** 列を表す英字 */
+const FILE_LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * 座標をマスの表記に変換します。
+ * @param {Object} pos - 座標
+ * @param {number} pos.row - 行番号
+ * @param {number} pos.col - 列番号
+ * @returns {string} マスの表記（例: "c3"）
+ */
+function formatSquare(pos) {
+  return `${FILE_LETTERS[pos.col]}${pos.row + 1}`;
+}
+
+/**
+ * マスの表記を座標に変換します。
+ * @param {string} text - マスの表記（例: "c3"）
+ * @param {number} [boardSize=MAX_BOARD_SIZE] - 盤面のサイズ（これに収まらないマスは不正）
+ * @returns {Object|null} 座標（不正な表記・盤面の外の場合はnull）
+ */
+function parseSquare(text, boardSize = MAX_BOARD_SIZE) {
+  const match = /^([a-z])(\d{1,2})$/.exec(String(text).trim().toLowerCase());
+  if (!match) {
+    return null;
+  }
+  const row = Number(match[2]) - 1;
+  const col = FILE_LETTERS.indexOf(match[1]);
+  if (row < 0 || row >= boardSize || col >= boardSize) {
+    return null;
+  }
+  return { row, col };
+}
+
+/**
+ * アクションを1手の表記に変換します。
+ * @param {Object} action - アクション（place/move）
+ * @returns {string|null} 1手の表記（変換できない場合はnull）
+ */
+function formatAction(action) {
+  if (!action || !action.to) {
+    return null;
+  }
+  if (action.type === 'place') {
+    return `P ${formatSquare(action.to)}`;
+  }
+  if (action.type === 'move' && action.from) {
+    return `M ${formatSquare(action.from)}-${formatSquare(action.to)}`;
+  }
+  return null;
+}
+
+/**
+ * 1手の表記をアクションに変換します。
+ * マスが盤面に収まるかだけを確かめ、盤面に対する合法性はチェックしません（applyActionで判定）。
+ * @param {string} text - 1手の表記（例: "P c3", "M b2-d4"）
+ * @param {'black'|'white'} color - 手を指すプレイヤーの色
+ * @param {string} [ruleset] - ルールセットID（省略時は最大の盤面に収まるかで判定）
+ * @returns {Object} 結果オブジェクト
+ * @returns {boolean} return.ok - 成功したかどうか
+ * @returns {string} [return.error] - 失敗理由
+ * @returns {Object} [return.action] - 成功時のアクション
+ */
+function parseAction(text, color, ruleset) {
+  const match = /^([PM])\s*([a-z]\d{1,2})(?:-([a-z]\d{1,2}))?$/i.exec(String(text || '').trim());
+  if (!match) {
+    return { ok: false, error: 'invalid_notation' };
+  }
+
+  // 表記の形は正しいので、読めないマスは盤面の外
+  const boardSize = ruleset ? getRuleset(ruleset).boardSize : MAX_BOARD_SIZE;
+  const kind = match[1].toUpperCase();
+  const first = parseSquare(match[2], boardSize);
+  const second = match[3] ? parseSquare(match[3], boardSize) : null;
+  if (!first || (match[3] && !second)) {
+    return { ok: false, error: 'invalid_square' };
+  }
+
+  if (kind === 'P') {
+    // 打つ手に移動先は付かない
+    if (second) {
+      return { ok: false, error: 'invalid_notation' };
+    }
+    return { ok: true, action: { type: 'place', color, to: first } };
+  }
+
+  // 動かす手には移動先が必須
+  if (!second) {
+    return { ok: false, error: 'invalid_notation' };
+  }
+  return { ok: true, action: { type: 'move', color, from: first, to: second } };
+}
+
+/**
+ * ヘッダーの値をエスケープします。
+ * @param {*} value - ヘッダーの値
+ * @returns {string} エスケープされた文字列
+ */
+function escapeHeaderValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * 日時を棋譜の日付表記（YYYY.MM.DD）に変換します。
+ * @param {string|null} value - ISO形式の日時
+ * @returns {string} 日付表記（不明な場合は "????.??.??"）
+ */
+function formatRecordDate(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    return '????.??.??';
+  }
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(date.getUTCDate()).padStart(2, '0');
+  return `${date.getUTCFullYear()}.${month}.${day}`;
+}
+
+/**
+ * ゲーム状態を対局全体の棋譜テキストに変換します。
+ * @param {Object} state - ゲーム状態（棋譜 moves を含む）
+ * @param {Object} [players={}] - 対局者名
+ * @param {string} [players.black] - 黒の対局者名
+ * @param {string} [players.white] - 白の対局者名
+ * @returns {string} 棋譜テキスト
+ */
+function formatGameRecord(state, players = {}) {
+  const game = normalizeState(state);
+
+  // 結果: 勝者の色、引き分けは "draw"、対局中は "*"
+  let result = '*';
+  if (game.status === 'finished') {
+    result = game.winner || 'draw';
+  }
+
+  const headers = [
+    ['Game', 'Yonmoque'],
+    ['Ruleset', game.ruleset],
+    ['Black', players.black || '?'],
+    ['White', players.white || '?'],
+    ['Date', formatRecordDate(game.startedAt)],
+    ['Result', result],
+    ['Reason', game.result || '-'],
+  ];
+
+  const lines = headers.map(([key, value]) => `[${key} "${escapeHeaderValue(value)}"]`);
+  lines.push('');
+
+  // 黒白1組ごとに手数を付けて1行にまとめる
+  for (let i = 0; i < game.moves.length; i += 2) {
+    const pair = game.moves.slice(i, i + 2).map(formatAction);
+    lines.push(`${i / 2 + 1}. ${pair.join(' ')}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * 棋譜テキストを解析します。
+ * 指し手は黒から交互に色を割り当て、マスは Ruleset ヘッダーのルールセット（なければクラシック）の盤面で確かめます。
+ * 盤面に再現するときは replayActions(actions, { ruleset }) のように ruleset を渡します。
+ * @param {string} text - 棋譜テキスト
+ * @returns {Object} 結果オブジェクト
+ * @returns {boolean} return.ok - 成功したかどうか
+ * @returns {string} [return.error] - 失敗理由
+ * @returns {number} [return.line] - 失敗した行番号（1始まり）
+ * @returns {Object} [return.headers] - ヘッダー（キー: ヘッダー名）
+ * @returns {string} [return.ruleset] - ルールセットID
+ * @returns {Array<Object>} [return.actions] - アクションの配列
+ */
+function parseGameRecord(text) {
+  if (typeof text !== 'string') {
+    return { ok: false, error: 'invalid_record' };
+  }
+
+  const headers = {};
+  const moveTokens = [];
+  const lines = text.split(/\r?\n/);
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index].trim();
+    if (!line) {
+      continue;
+    }
+
+    // ヘッダー行: [Key "Value"]
+    if (line.startsWith('[')) {
+      const match = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/.exec(line);
+      if (!match) {
+        return { ok: false, error: 'invalid_header', line: index + 1 };
+      }
+      headers[match[1]] = match[2].replace(/\\(.)/g, '$1');
+      continue;
+    }
+
+    // 指し手行: 手数表記を除いて "P c3" / "M b2-d4" を順に読む（ルールセットが決まってから変換する）
+    const tokens = line.split(/\s+/).filter((token) => !/^\d+\.$/.test(token));
+    for (let i = 0; i < tokens.length; i += 2) {
+      moveTokens.push({ text: `${tokens[i]} ${tokens[i + 1] || ''}`, line: index + 1 });
+    }
+  }
+
+  const ruleset = headers.Ruleset || DEFAULT_RULESET_ID;
+  if (!RULESETS[ruleset]) {
+    return { ok: false, error: 'invalid_ruleset' };
+  }
+
+  const actions = [];
+  for (const token of moveTokens) {
+    const color = actions.length % 2 === 0 ? 'black' : 'white';
+    const parsed = parseAction(token.text, color, ruleset);
+    if (!parsed.ok) {
+      return { ok: false, error: parsed.error, line: token.line };
+    }
+    actions.push(parsed.action);
+  }
+
+  return { ok: true, headers, ruleset, actions };
+}
+
+/**
+ * アクションの列を新しいゲームに順に適用します。
+ * 読み込んだ棋譜を盤面に再現するために使用。
+ * @param {Array<Object>} actions - アクションの配列
+ * @param {Object} [options={}] - createNewGameStateに渡す対局オプション（ruleset等）
+ * @returns {Object} 結果オブジェクト
+ * @returns {boolean} return.ok - 成功したかどうか
+ * @returns {string} [return.error] - 失敗理由
+ * @returns {number} [return.ply] - 失敗した手数（1始まり）
+ * @returns {Object} [return.state] - 成功時のゲーム状態
+ */
+function replayActions(actions, options = {}) {
+  let state = createNewGameState(options);
+  for (let i = 0; i < actions.length; i += 1) {
+    const result = applyAction(state, actions[i]);
+    if (!result.ok) {
+      return { ok: false, error: result.error, reason: result.reason, ply: i + 1 };
+    }
+    state = result.state;
+  }
+  return { ok: true, state };
+}
+
+// =============================================================================
+// 局面文字列
+// =============================================================================
+//
+// 局面を1行の文字列で表します（FEN風）。
+//   "Y3 classic 5/5/2b2/1w3/5 1/1 b playing - -"
+// 空白区切りで以下の8フィールドからなります。
+//   1. バージョン（"Y3"）
+//   2. ルールセットID
+//   3. 盤面: 上の行から "/" 区切り。b=黒、w=白、数字=連続する空きマスの数
+//   4. 配置済み駒数: "黒/白"
+//   5. 手番: b または w
+//   6. 状態: waiting / playing / finished
+//   7. 勝者: b / w、引き分けと対局中は "-"
+//   8. 終局理由: four / move_limit などの result、対局中は "-"
+// 勝者と終局理由を持たないバージョン2（"Y2 classic 5/5/2b2/1w3/5 1/1 b playing"）は、
+// 終局なら勝者と終局理由を盤面から求め、盤面から決まらなければ理由の分からない引き分けとして読み込みます。
+// さらにルールセットを含まないバージョン1（"Y1 5/5/2b2/1w3/5 1/1 b playing"）は
+// クラシックルールとして読み込みます。
+
+/** 局面文字列のバージョン */
+const POSITION_VERSION = 3;
+
+/** 局面文字列で使用できる状態 */
+const POSITION_STATUSES = ['waiting', 'playing', 'finished'];
+
+/**
+ * ゲーム状態を局面文字列に変換します。
+ * @param {Object} state - ゲーム状態
+ * @returns {string} 局面文字列
+ */
+function encodePosition(state) {
+  const game = normalizeState(state);
+  const status = POSITION_STATUSES.includes(game.status) ? game.status : 'waiting';
+  const finished = status === 'finished';
+  const winner = finished && game.winner ? game.winner[0] : '-';
+  const result = finished && game.result ? game.result : '-';
+  return `Y${POSITION_VERSION} ${game.ruleset} ${getPositionKey(game)} ${status} ${winner} ${result}`;
+}
+
+/**
+ * 盤面・配置済み駒数・手番からなる局面キーを返します。
+ * 局面文字列の一部であり、千日手判定にも使用します。
+ * @param {Object} state - 正規化済みのゲーム状態
+ * @returns {string} 局面キー（例: "5/1wb2/2b2/5/5 2/1 w"）
+ */
+function getPositionKey(state) {
+  const turn = state.turn === 'white' ? 'w' : 'b';
+  return `${encodePositionBoard(state.board)} ${state.placed.black}/${state.placed.white} ${turn}`;
+}
+
+/**
+ * 盤面を局面文字列の盤面フィールドに変換します。
+ * @param {Array<Array<string|null>>} board - 盤面
+ * @returns {string} 盤面フィールド
+ */
+function encodePositionBoard(board) {
+  const rows = board.map((row) => {
+    let text = '';
+    let empty = 0;
+    for (const cell of row) {
+      if (cell === null) {
+        empty += 1;
+        continue;
+      }
+      if (empty > 0) {
+        text += String(empty);
+        empty = 0;
+      }
+      text += cell === 'black' ? 'b' : 'w';
+    }
+    if (empty > 0) {
+      text += String(empty);
+    }
+    return text;
+  });
+  return rows.join('/');
+}
+
+/**
+ * 局面文字列の盤面フィールドを解析します。
+ * @param {string} text - 盤面フィールド
+ * @param {number} size - 盤面のサイズ
+ * @returns {Array<Array<string|null>>|null} 盤面（不正な場合はnull）
+ */
+function decodePositionBoard(text, size) {
+  const rows = text.split('/');
+  if (rows.length !== size) {
+    return null;
+  }
+
+  const board = createEmptyBoard(size);
+  for (let row = 0; row < size; row += 1) {
+    const tokens = rows[row].match(/\d+|[bw]|./g) || [];
+    let col = 0;
+    for (const token of tokens) {
+      if (token === 'b' || token === 'w') {
+        if (col >= size) {
+          return null;
+        }
+        board[row][col] = token === 'b' ? 'black' : 'white';
+        col += 1;
+      } else if (/^[1-9]\d*$/.test(token)) {
+        col += Number(token);
+      } else {
+        return null;
+      }
+    }
+    // 各行はちょうど盤面の幅でなければならない
+    if (col !== size) {
+      return null;
+    }
+  }
+  return board;
+}
+
+/**
+ * 勝者と終局理由を持たない旧形式の終局の局面から、勝者と終局理由を盤面で求めます（applyAction と同じ判定）。
+ * 4目・5目の終局では手番は最後に指した側のまま、手詰まりでは指せない側になっています。
+ * @param {Object} state - 正規化済みのゲーム状態
+ * @param {Object} rules - ルールセット
+ * @returns {{winner: string|null, result: string|null}} 盤面から決まらない（千日手・手数上限などの）終局なら
+ *   理由の分からない引き分け（どちらもnull）
+ */
+function decodeLegacyOutcome(state, rules) {
+  const outcome = decideOutcome(state.board, state.turn, rules);
+  if (outcome) {
+    return { winner: outcome.winner, result: outcome.result };
+  }
+  if (!hasLegalAction(state, state.turn)) {
+    return { winner: getOpponent(state.turn), result: 'no_moves' };
+  }
+  return { winner: null, result: null };
+}
+
+/**
+ * 局面文字列の勝者と終局理由のフィールドを解析します。
+ * 終局でなければどちらも "-" でなければなりません。
+ * @param {string} winnerText - 勝者のフィールド（b / w / -）
+ * @param {string} resultText - 終局理由のフィールド（result または -）
+ * @param {string} status - 状態
+ * @returns {{winner: string|null, result: string|null}|null} 不正な場合はnull
+ */
+function decodePositionOutcome(winnerText, resultText, status) {
+  if (!['b', 'w', '-'].includes(winnerText) || !/^([a-z_]+|-)$/.test(resultText)) {
+    return null;
+  }
+  if (status !== 'finished' && (winnerText !== '-' || resultText !== '-')) {
+    return null;
+  }
+  return {
+    winner: winnerText === '-' ? null : winnerText === 'b' ? 'black' : 'white',
+    result: resultText === '-' ? null : resultText,
+  };
+}
+
+/**
+ * 局面文字列をゲーム状態に変換します。
+ * 結果の状態はnormalizeStateを通した形式で、encodePositionで同じ文字列に戻ります（旧形式は現在の形式になります）。
+ * @param {string} text - 局面文字列
+ * @returns {Object} 結果オブジェクト
+ * @returns {boolean} return.ok - 成功したかどうか
+ * @returns {string} [return.error] - 失敗理由
+ * @returns {Object} [return.state] - 成功時のゲーム状態
+ */
+function decodePosition(text) {
+  if (typeof text !== 'string') {
+    return { ok: false, error: 'invalid_position_format' };
+  }
+
+  const fields = text.trim().split(/\s+/);
+  const versionMatch = /^Y(\d+)$/.exec(fields[0] || '');
+  if (!versionMatch) {
+    return { ok: false, error: 'invalid_position_format' };
+  }
+  const version = Number(versionMatch[1]);
+  if (version < 1 || version > POSITION_VERSION) {
+    return { ok: false, error: 'unsupported_position_version' };
+  }
+
+  // バージョン1はルールセットのフィールドを持たない（クラシック扱い）
+  const body = version === 1 ? [DEFAULT_RULESET_ID, ...fields.slice(1)] : fields.slice(1);
+  if (body.length !== (version === POSITION_VERSION ? 7 : 5)) {
+    return { ok: false, error: 'invalid_position_format' };
+  }
+
+  const [rulesetId, boardText, placedText, turnText, status, winnerText, resultText] = body;
+
+  if (!RULESETS[rulesetId]) {
+    return { ok: false, error: 'invalid_position_ruleset' };
+  }
+  const rules = RULESETS[rulesetId];
+
+  const board = decodePositionBoard(boardText, rules.boardSize);
+  if (!board) {
+    return { ok: false, error: 'invalid_position_board' };
+  }
+
+  const placedMatch = /^(\d+)\/(\d+)$/.exec(placedText);
+  if (!placedMatch) {
+    return { ok: false, error: 'invalid_position_placed' };
+  }
+  const placed = { black: Number(placedMatch[1]), white: Number(placedMatch[2]) };
+  if (placed.black > rules.maxPieces || placed.white > rules.maxPieces) {
+    return { ok: false, error: 'invalid_position_placed' };
+  }
+
+  // 駒は取られないので、盤上の駒数は配置済み駒数の合計と一致する
+  const onBoard = board.reduce(
+    (total, row) => total + row.filter((cell) => cell !== null).length,
+    0
+  );
+  if (onBoard !== placed.black + placed.white) {
+    return { ok: false, error: 'invalid_position_piece_count' };
+  }
+
+  if (turnText !== 'b' && turnText !== 'w') {
+    return { ok: false, error: 'invalid_position_turn' };
+  }
+
+  if (!POSITION_STATUSES.includes(status)) {
+    return { ok: false, error: 'invalid_position_status' };
+  }
+
+  const playing = status === 'playing';
+  const state = normalizeState({
+    ruleset: rules.id,
+    board,
+    placed,
+    turn: turnText === 'w' ? 'white' : 'black',
+    status,
+    ready: { black: playing, white: playing },
+  });
+
+  if (version === POSITION_VERSION) {
+    const outcome = decodePositionOutcome(winnerText, resultText, status);
+    if (!outcome) {
+      return { ok: false, error: 'invalid_position_outcome' };
+    }
+    state.winner = outcome.winner;
+    state.result = outcome.result;
+  } else if (status === 'finished') {
+    const outcome = decodeLegacyOutcome(state, rules);
+    state.winner = outcome.winner;
+    state.result = outcome.result;
+  }
+
+  return { ok: true, state };
+}
+
+module.exports = {
+  BOARD_SIZE,
+  MAX_PIECES,
+  RULESETS,
+  DEFAULT_RULESET_ID,
+  getRuleset,
+  getStateRuleset,
+  REPETITION_LIMIT,
+  DEFAULT_MAX_PLIES,
+  getCellType,
+  createEmptyBoard,
+  createWaitingState,
+  createNewGameState,
+  normalizeState,
+  applyAction,
+  applySearchAction,
+  countPlies,
+  countPositionRepetitions,
+  previewActions,
+  evaluateOutcome,
+  decideOutcome,
+  findLines,
+  getOpponent,
+  listActions,
+  hasLegalAction,
+  formatSquare,
+  parseSquare,
+  formatAction,
+  parseAction,
+  formatGameRecord,
+  parseGameRecord,
+  replayActions,
+  POSITION_VERSION,
+  encodePosition,
+  decodePosition,
+  getPositionKey,
+};